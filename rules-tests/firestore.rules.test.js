@@ -0,0 +1,80 @@
+// Runs against the Firestore emulator: `npm run test:rules` (needs the Firebase CLI and Java).
+// CommonJS, since these run on plain Jest outside the react-scripts setup.
+const { readFileSync } = require('fs');
+const { resolve } = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, collection, query, where, getDoc, getDocs, setDoc, updateDoc, deleteDoc, serverTimestamp } = require('firebase/firestore');
+
+const APP_ID = 'test-app';
+const dataPath = (name, id) => `artifacts/${APP_ID}/public/data/${name}/${id}`;
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-ranking',
+    firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') }
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, `artifacts/${APP_ID}/admins/owner`), { role: 'owner' });
+    await setDoc(doc(db, `artifacts/${APP_ID}/admins/operator`), { role: 'operator' });
+    await setDoc(doc(db, dataPath('clients', 'sale1')), { firstName: 'Ana', lastName: 'Souza', instagram: '', valor: 10 });
+    await setDoc(doc(db, dataPath('settings', 'ranking')), { topSize: 3 });
+    await setDoc(doc(db, dataPath('notices', 'live')), { title: 'Promo', isActive: true });
+    await setDoc(doc(db, dataPath('notices', 'draft')), { title: 'Rascunho', isActive: false });
+  });
+});
+
+afterAll(() => testEnv && testEnv.cleanup());
+
+const visitor = () => testEnv.unauthenticatedContext().firestore();
+const operator = () => testEnv.authenticatedContext('operator').firestore();
+
+const entry = (position) => ({ id: `c${position}`, position, firstName: 'Ana', lastName: 'Souza', instagram: '', value: null, tier: null, movement: null });
+const leaderboard = (entryCount) => ({
+  topSize: 3,
+  boards: [{ key: 'all', season: null, previousLabel: null, entries: Array.from({ length: entryCount }, (_, i) => entry(i + 1)) }],
+  signature: 'test',
+  updatedAt: serverTimestamp()
+});
+
+test('visitors read the leaderboard but not sales', async () => {
+  await assertSucceeds(getDoc(doc(visitor(), dataPath('leaderboard', 'public'))));
+  await assertFails(getDoc(doc(visitor(), dataPath('clients', 'sale1'))));
+});
+
+test('visitors only read active notices', async () => {
+  const notices = collection(visitor(), `artifacts/${APP_ID}/public/data/notices`);
+  await assertSucceeds(getDocs(query(notices, where('isActive', '==', true))));
+  await assertFails(getDocs(notices));
+  await assertFails(getDoc(doc(visitor(), dataPath('notices', 'draft'))));
+  await assertSucceeds(getDocs(collection(operator(), `artifacts/${APP_ID}/public/data/notices`)));
+});
+
+test('operators edit sales but cannot delete them or change WhatsApp numbers and settings', async () => {
+  const db = operator();
+  await assertSucceeds(updateDoc(doc(db, dataPath('clients', 'sale1')), { valor: 20 }));
+  await assertFails(deleteDoc(doc(db, dataPath('clients', 'sale1'))));
+  await assertFails(setDoc(doc(db, dataPath('whatsapp', 'n1')), { number: '5511999999999', label: 'Loja', isActive: true }));
+  await assertFails(setDoc(doc(db, dataPath('settings', 'ranking')), { topSize: 20 }));
+});
+
+test('audit entries must name the signed-in admin and carry the commit time', async () => {
+  const db = operator();
+  const auditEntry = (actorUid, at) => ({ action: 'update', entity: 'sale', entityId: 'sale1', before: null, after: null, actor: { uid: actorUid, email: 'op@loja.com' }, at });
+  await assertSucceeds(setDoc(doc(db, dataPath('audit', 'a1')), auditEntry('operator', serverTimestamp())));
+  await assertFails(setDoc(doc(db, dataPath('audit', 'a2')), auditEntry('owner', serverTimestamp())));
+  await assertFails(setDoc(doc(db, dataPath('audit', 'a3')), auditEntry('operator', new Date(2020, 0, 1))));
+});
+
+test('the leaderboard holds at most the configured number of positions', async () => {
+  const db = operator();
+  await assertSucceeds(setDoc(doc(db, dataPath('leaderboard', 'public')), leaderboard(3)));
+  await assertFails(setDoc(doc(db, dataPath('leaderboard', 'public')), leaderboard(4)));
+  await assertFails(setDoc(doc(db, dataPath('leaderboard', 'public')), { ...leaderboard(3), extra: true }));
+});
@@ -1,140 +1,504 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
-import { initializeApp } from 'firebase/app';
-import { 
-    getAuth, 
-    signInAnonymously, 
-    onAuthStateChanged 
-} from 'firebase/auth';
-import { 
-    getFirestore, 
-    collection, 
-    addDoc, 
-    onSnapshot, 
-    query, 
-    getDocs, 
-    writeBatch,
-    doc,
-    updateDoc,
-    setDoc,
-    deleteDoc
-} from 'firebase/firestore';
-import { Instagram, Trash2, Crown, UserPlus, BarChart2, KeyRound, Edit, Lock, X, ShieldCheck } from 'lucide-react';
-
-// --- Firebase Configuration ---
-const firebaseConfig = {
-  apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
-  authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
-  storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
-  appId: process.env.REACT_APP_FIREBASE_APP_ID
-};
-
-const isFirebaseConfigValid = firebaseConfig.apiKey && firebaseConfig.projectId;
-const appId = firebaseConfig.appId || 'default-app-id';
+import { createDataStore, isBackendConfigured, ROLES, NOTICE_DEFAULTS, RANKING_SETTINGS_DEFAULTS, isNoticeDismissed, normalizeInstagram, legacyClientKey, normalizeName, findDuplicateCandidates } from './data';
+import { sanitizeHtml } from './sanitizeHtml';
+import { parseCsv, toCsv, parseValor, buildImportPreview, EXPORT_FIELDS, filterSalesByDate, toExportRecord } from './salesCsv';
+import { renderRankingImage, renderClientCardImage, MAX_RANKING_ROWS } from './shareImage';
+import { Instagram, Trash2, Crown, UserPlus, BarChart2, KeyRound, Edit, Lock, X, ShieldCheck, LogOut, CalendarDays, Archive, Users, Merge, Split, Download, Upload, LineChart, Search, RotateCcw, ArrowLeft, History, Megaphone, Plus, Share2, Medal } from 'lucide-react';
+
+// --- Admin Roles ---
+// Each admin account has a doc at artifacts/{appId}/admins/{uid} with a `role` field (see ROLES).
+const ROLE_LABELS = { [ROLES.OWNER]: 'Proprietário', [ROLES.OPERATOR]: 'Operador' };
+
+const authErrorMessage = (e) => ({
+    'auth/invalid-credential': 'E-mail ou senha incorretos.',
+    'auth/invalid-login-credentials': 'E-mail ou senha incorretos.',
+    'auth/wrong-password': 'E-mail ou senha incorretos.',
+    'auth/user-not-found': 'E-mail ou senha incorretos.',
+    'auth/invalid-email': 'E-mail inválido.',
+    'auth/user-disabled': 'Esta conta foi desativada.',
+    'auth/too-many-requests': 'Muitas tentativas. Tente novamente mais tarde.',
+    'auth/network-request-failed': 'Sem conexão. Verifique sua internet.'
+}[e?.code] || 'Não foi possível entrar. Tente novamente.');
+
+// --- Import/Export Helpers ---
+const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// --- Report Helpers ---
+const pad = (n) => String(n).padStart(2, '0');
+const dateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// Each granularity knows the first instant of the period containing a date, how to
+// step to the next period, and how to label it.
+const GRANULARITIES = {
+    day: { label: 'Dia', start: (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()), next: (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1), format: (d) => `${pad(d.getDate())}/${pad(d.getMonth() + 1)}` },
+    week: { label: 'Semana', start: (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7)), next: (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7), format: (d) => `Sem. ${pad(d.getDate())}/${pad(d.getMonth() + 1)}` },
+    month: { label: 'Mês', start: (d) => new Date(d.getFullYear(), d.getMonth(), 1), next: (d) => new Date(d.getFullYear(), d.getMonth() + 1, 1), format: (d) => d.toLocaleDateString('pt-BR', { month: 'short', year: '2-digit' }) }
+};
+
+// Revenue and sale count per period, including empty periods between the first and last sale.
+const groupRevenue = (sales, granularity) => {
+    if (sales.length === 0) return [];
+    const { start, next, format } = GRANULARITIES[granularity];
+    const totals = sales.reduce((acc, sale) => {
+        const key = dateKey(start(sale.createdAt));
+        acc[key] = acc[key] || { total: 0, count: 0 };
+        acc[key].total += sale.valor || 0;
+        acc[key].count += 1;
+        return acc;
+    }, {});
+    const times = sales.map(sale => sale.createdAt.getTime());
+    const last = start(new Date(Math.max(...times)));
+    const periods = [];
+    for (let period = start(new Date(Math.min(...times))); period <= last; period = next(period)) {
+        periods.push({ key: dateKey(period), label: format(period), total: totals[dateKey(period)]?.total || 0, count: totals[dateKey(period)]?.count || 0 });
+    }
+    return periods;
+};
+
+const customerKey = (sale) => sale.customerId || legacyClientKey(sale);
+
+// Totals for the sales in range. A customer is "new" when their first purchase ever is one of those sales.
+const summarizeSales = (salesInRange, allSales) => {
+    const firstSales = allSales.reduce((acc, sale) => {
+        const key = customerKey(sale);
+        if (!acc[key] || sale.createdAt < acc[key].createdAt) acc[key] = sale;
+        return acc;
+    }, {});
+    const idsInRange = new Set(salesInRange.map(sale => sale.id));
+    const customersInRange = new Set(salesInRange.map(customerKey));
+    const newCustomers = [...customersInRange].filter(key => idsInRange.has(firstSales[key].id)).length;
+    const revenue = salesInRange.reduce((sum, sale) => sum + (sale.valor || 0), 0);
+    return { revenue, count: salesInRange.length, averageTicket: salesInRange.length ? revenue / salesInRange.length : 0, newCustomers, returningCustomers: customersInRange.size - newCustomers };
+};
+
+// --- Audit Helpers ---
+const AUDIT_ACTION_LABELS = { create: 'Criou', update: 'Editou', delete: 'Excluiu', restore: 'Restaurou', purge: 'Excluiu definitivamente', revert: 'Desfez alteração em' };
+const AUDIT_ENTITY_LABELS = { sale: 'venda', customer: 'cliente', notice: 'aviso', whatsapp: 'WhatsApp', settings: 'configuração' };
+const AUDIT_SOURCE_LABELS = { import: 'importação', migrate: 'migração de vendas antigas', merge: 'união de clientes', split: 'separação de vendas' };
+// Only owners can change these, so only they can restore them.
+const OWNER_ONLY_ENTITIES = ['whatsapp', 'settings'];
+// Removing a customer an entry created would leave its sales without one, so those entries aren't restorable.
+const canRestoreEntry = (entry, isOwner) => (!OWNER_ONLY_ENTITIES.includes(entry.entity) || isOwner) && !(entry.entity === 'customer' && !entry.before);
+
+const describeAuditTarget = (entry) => {
+    const data = entry.after || entry.before || {};
+    if (entry.entity === 'sale') return `${data.firstName} ${data.lastName} · R$ ${(data.valor || 0).toFixed(2)}`;
+    if (entry.entity === 'customer') return `${data.firstName} ${data.lastName}`;
+    if (entry.entity === 'whatsapp') return `${data.label} (+${data.number})`;
+    if (entry.entity === 'settings') return 'Configurações do ranking';
+    return data.title || 'Aviso sem título';
+};
+
+const formatAuditValue = (value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (value instanceof Date) return value.toLocaleString('pt-BR');
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+};
+
+// Fields whose value differs between `before` and `after`.
+const auditChanges = (entry) => {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .map(field => ({ field, before: formatAuditValue(before[field]), after: formatAuditValue(after[field]) }))
+        .filter(change => change.before !== change.after);
+};
+
+// --- Notice Helpers ---
+const NOTICE_MODE_LABELS = { modal: 'Janela', banner: 'Faixa' };
+
+const isNoticeLive = (notice, now) => notice.isActive && (!notice.startAt || notice.startAt <= now) && (!notice.endAt || notice.endAt > now);
+
+// Highest priority first; ties go to the most recently edited notice.
+const sortNotices = (notices) => [...notices].sort((a, b) => b.priority - a.priority || (b.updatedAt || 0) - (a.updatedAt || 0));
+
+const noticeStatus = (notice, now) => {
+    if (!notice.isActive) return { label: 'Inativo', className: 'bg-gray-600' };
+    if (notice.startAt && notice.startAt > now) return { label: 'Agendado', className: 'bg-blue-600' };
+    if (notice.endAt && notice.endAt <= now) return { label: 'Encerrado', className: 'bg-gray-600' };
+    return { label: 'No ar', className: 'bg-green-600' };
+};
+
+const formatNoticeSchedule = (notice) => {
+    if (!notice.startAt && !notice.endAt) return 'Sem agendamento';
+    const format = (date) => (date ? date.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' }) : '…');
+    return `${format(notice.startAt)} – ${format(notice.endAt)}`;
+};
+
+// Value for a datetime-local input, in local time.
+const toDateTimeInput = (date) => (date ? `${dateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}` : '');
+
+// --- Ranking Helpers ---
+// Groups sales by customer and returns every customer, sorted by total spent.
+// Sales not yet linked to a customer fall back to the legacy name/Instagram key.
+const rankClients = (sales, customersById = {}) => {
+    const clientTotals = sales.reduce((acc, sale) => {
+        const identifier = sale.customerId || legacyClientKey(sale);
+        const person = customersById[sale.customerId] || sale;
+        if (!acc[identifier]) acc[identifier] = { firstName: person.firstName, lastName: person.lastName, instagram: person.instagram || '', totalValor: 0, id: identifier };
+        acc[identifier].totalValor += sale.valor || 0;
+        return acc;
+    }, {});
+    return Object.values(clientTotals).sort((a, b) => b.totalValor - a.totalValor);
+};
+
+// Seasons are stored with inclusive start/end dates; sales outside them don't count.
+const salesInSeason = (sales, season) => sales.filter(sale => sale.createdAt >= season.startDate && sale.createdAt <= season.endDate);
+const formatDate = (date) => date.toLocaleDateString('pt-BR');
+const formatSeasonRange = (season) => `${formatDate(season.startDate)} – ${formatDate(season.endDate)}`;
+const formatBoard = (board) => (board.season ? `${board.season.name} · ${formatSeasonRange(board.season)}` : 'Todos os tempos');
+
+// Returns why a new season can't use these dates, or '' when it can. Seasons may not overlap,
+// so every sale belongs to at most one season and archive.
+const seasonDateError = (start, end, seasons, now) => {
+    if (end < start) return 'A data final deve ser depois da data inicial.';
+    if (end < now) return 'A data final já passou.';
+    const overlapping = seasons.find(season => start <= season.endDate && end >= season.startDate);
+    return overlapping ? `As datas se sobrepõem à temporada "${overlapping.name}" (${formatSeasonRange(overlapping)}).` : '';
+};
+
+// Tiers are awarded on the all-time total spent, highest first. Thresholds come from the
+// ranking settings; a tier without one is never awarded.
+const TIERS = [
+    { key: 'gold', label: 'Ouro', color: '#facc15', className: 'bg-yellow-400 text-gray-900' },
+    { key: 'silver', label: 'Prata', color: '#d1d5db', className: 'bg-gray-300 text-gray-900' },
+    { key: 'bronze', label: 'Bronze', color: '#d97706', className: 'bg-amber-600 text-white' }
+];
+const tierFor = (total, thresholds) => TIERS.find(tier => thresholds[tier.key] != null && total >= thresholds[tier.key]) || null;
+
+// Months start at 00:00 UTC, so every admin's browser agrees on the all-time baseline
+// whatever its time zone.
+const utcMonthStart = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+
+// The ranking a board is compared with to show movement: the previous closed season for
+// season boards (`season` set), and the ranking as it stood at `monthStart` for all-time.
+// Null when there is nothing to compare with.
+const previousRanking = (season, sales, closedSeasons, customersById, monthStart) => {
+    if (season) {
+        const previous = closedSeasons.filter(closed => closed.endDate < season.startDate).sort((a, b) => b.endDate - a.endDate)[0];
+        if (!previous) return null;
+        return { label: `desde ${previous.name}`, ranking: previous.topClients || [] };
+    }
+    const earlierSales = sales.filter(sale => sale.createdAt.getTime() < monthStart);
+    if (earlierSales.length === 0) return null;
+    return { label: 'desde o início do mês', ranking: rankClients(earlierSales, customersById) };
+};
+
+const movementFor = (id, position, previousPositions) => {
+    const before = previousPositions[id];
+    if (!before) return { type: 'new', delta: 0 };
+    return { type: before > position ? 'up' : before < position ? 'down' : 'same', delta: Math.abs(before - position) };
+};
+
+const describeMovement = (movement) => {
+    if (!movement) return null;
+    if (movement.type === 'new') return { text: 'novo', title: 'Entrou no ranking', className: 'text-blue-400', color: '#60a5fa' };
+    if (movement.type === 'same') return { text: '=', title: 'Manteve a posição', className: 'text-gray-400', color: '#9ca3af' };
+    return movement.type === 'up'
+        ? { text: `↑${movement.delta}`, title: `Subiu ${movement.delta} posição(ões)`, className: 'text-green-400', color: '#4ade80' }
+        : { text: `↓${movement.delta}`, title: `Caiu ${movement.delta} posição(ões)`, className: 'text-red-400', color: '#f87171' };
+};
+
+// --- Public Leaderboard ---
+// Visitors only read leaderboard/public, built here from the sales and the ranking settings
+// (see RANKING_SETTINGS_DEFAULTS). Values, names and positions that must stay private never leave the admin's browser.
+const formatMoney = (value, { symbol, decimalSeparator, thousandsSeparator }) => {
+    const [integer, cents] = Math.abs(value).toFixed(2).split('.');
+    return `${value < 0 ? '-' : ''}${symbol} ${integer.replace(/\B(?=(\d{3})+(?!\d))/g, thousandsSeparator)}${decimalSeparator}${cents}`;
+};
+
+// Hidden customers are left out (the others move up), anonymous ones lose their name, Instagram
+// and id, and only the first `publicValuePositions` keep their total.
+const publicEntries = (ranking, previous, totals, settings) => {
+    const visible = (list) => list.filter(client => settings.privacy[client.id] !== 'hidden');
+    const previousPositions = previous && Object.fromEntries(visible(previous.ranking).map((client, index) => [client.id, index + 1]));
+    return visible(ranking).slice(0, settings.topSize).map((client, index) => {
+        const position = index + 1;
+        const isAnonymous = settings.privacy[client.id] === 'anonymous';
+        const tier = tierFor(totals[client.id] || 0, settings.tiers);
+        return {
+            id: isAnonymous ? null : client.id,
+            position,
+            firstName: isAnonymous ? 'Cliente' : client.firstName,
+            lastName: isAnonymous ? 'Anônimo' : client.lastName,
+            instagram: isAnonymous ? '' : client.instagram || '',
+            value: position <= settings.publicValuePositions ? formatMoney(client.totalValor, settings.currency) : null,
+            tier: tier ? tier.key : null,
+            movement: previousPositions ? movementFor(client.id, position, previousPositions) : null
+        };
+    });
+};
+
+// Boards: the running season ('current'), all-time ('all') and each closed season's archived
+// top list, newest first. Tiers always use the all-time total.
+const buildLeaderboard = ({ sales, customersById, seasons, settings, monthStart }) => {
+    const allTime = rankClients(sales, customersById);
+    const totals = Object.fromEntries(allTime.map(client => [client.id, client.totalValor]));
+    const closedSeasons = seasons.filter(season => season.status === 'closed').sort((a, b) => b.endDate - a.endDate);
+    const activeSeason = seasons.find(season => season.status === 'active');
+    const board = (key, season, ranking) => {
+        const previous = previousRanking(season, sales, closedSeasons, customersById, monthStart);
+        return {
+            key,
+            season: season ? { name: season.name, startDate: season.startDate, endDate: season.endDate } : null,
+            previousLabel: previous ? previous.label : null,
+            entries: publicEntries(ranking, previous, totals, settings)
+        };
+    };
+    const boards = [];
+    if (activeSeason) boards.push(board('current', activeSeason, rankClients(salesInSeason(sales, activeSeason), customersById)));
+    boards.push(board('all', null, allTime));
+    closedSeasons.forEach(season => boards.push(board(season.id, season, season.topClients || [])));
+    return { topSize: settings.topSize, boards };
+};
+
+// Stored with the document so admins only rewrite it when its contents changed.
+const leaderboardSignature = (leaderboard) => {
+    const text = JSON.stringify(leaderboard);
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    return `${text.length.toString(36)}-${hash.toString(36)}`;
+};
+
+const EMPTY_BOARD = { key: 'all', season: null, previousLabel: null, entries: [] };
+const tierByKey = (key) => TIERS.find(tier => tier.key === key) || null;
+
+// Public profiles live at #/cliente/{id}, so they can be linked to and the back button works.
+const PROFILE_HASH = '#/cliente/';
+const profileIdFromHash = (hash) => (hash.startsWith(PROFILE_HASH) ? decodeURIComponent(hash.slice(PROFILE_HASH.length)) : null);
+
+// --- Share Helpers ---
+// Opens the system share sheet where files can be shared (mostly phones); downloads the PNG elsewhere.
+const shareImage = async (blob, filename) => {
+    const file = new File([blob], filename, { type: 'image/png' });
+    if (navigator.canShare?.({ files: [file] })) {
+        try {
+            await navigator.share({ files: [file] });
+        } catch (e) {
+            if (e.name !== 'AbortError') throw e;
+        }
+        return;
+    }
+    downloadFile(filename, blob, 'image/png');
+};
+const shareRow = (entry) => ({
+    position: entry.position,
+    name: `${entry.firstName} ${entry.lastName}`,
+    instagram: entry.instagram,
+    value: entry.value,
+    movement: describeMovement(entry.movement),
+    tier: tierByKey(entry.tier)
+});
 
 // --- Main App Component ---
-export default function App() {
+// `store` can be passed in (tests); otherwise one is created from the env config (see ./data).
+export default function App({ store: providedStore }) {
     const [page, setPage] = useState('ranking');
     const [clients, setClients] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
-    const [db, setDb] = useState(null);
+    const [store, setStore] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
-    const [notice, setNotice] = useState({ htmlContent: '', isActive: false, id: null });
-    const [showNoticeModal, setShowNoticeModal] = useState(false);
-    const [isAdminAuthenticated, setIsAdminAuthenticated] = useState(sessionStorage.getItem('isAdminAuthed') === 'true');
+    const [adminUser, setAdminUser] = useState(null);
+    const [authError, setAuthError] = useState('');
+    const [notices, setNotices] = useState([]);
+    const [dismissedNotices, setDismissedNotices] = useState({});
+    const [now, setNow] = useState(() => new Date());
     const [activeWhatsappNumbers, setActiveWhatsappNumbers] = useState([]);
+    const [seasons, setSeasons] = useState([]);
+    const [customers, setCustomers] = useState([]);
+    const [selectedBoard, setSelectedBoard] = useState('current');
+    const [rankingSettings, setRankingSettings] = useState(RANKING_SETTINGS_DEFAULTS);
+    // undefined until the first snapshot, null when nothing was published yet.
+    const [leaderboard, setLeaderboard] = useState(undefined);
+    const [adminLoaded, setAdminLoaded] = useState({});
+    const [profileId, setProfileId] = useState(() => profileIdFromHash(window.location.hash));
     const [error, setError] = useState('');
 
     useEffect(() => {
-        if (!isFirebaseConfigValid) {
-            setError("ERRO: A configuração do Firebase é inválida. Verifique o seu ficheiro .env ou as variáveis de ambiente na Netlify.");
-            setIsLoading(false);
-            return;
+        let dataStore = providedStore;
+        if (!dataStore) {
+            if (!isBackendConfigured()) {
+                setError("ERRO: A configuração do Firebase é inválida. Verifique o seu ficheiro .env ou as variáveis de ambiente na Netlify.");
+                setIsLoading(false);
+                return;
+            }
+            try {
+                dataStore = createDataStore();
+            } catch (e) {
+                console.error("Data store initialization failed:", e);
+                setError("Falha crítica ao inicializar o banco de dados.");
+                setIsLoading(false);
+                return;
+            }
         }
-        try {
-            const app = initializeApp(firebaseConfig);
-            const auth = getAuth(app);
-            const firestore = getFirestore(app);
-            setDb(firestore);
-            const unsubscribeAuth = onAuthStateChanged(auth, async (user) => {
-                if (!user) {
-                     await signInAnonymously(auth);
-                }
-                setIsAuthReady(true);
-            });
-            return () => unsubscribeAuth();
-        } catch (e) { 
-            console.error("Firebase initialization failed:", e); 
-            setError("Falha crítica ao inicializar o Firebase.");
-            setIsLoading(false); 
-        }
-    }, []);
+        setStore(dataStore);
+        const unsubscribeAuth = dataStore.auth.onChange((user, message) => {
+            setAdminUser(user);
+            if (user) setAuthError('');
+            else if (message) setAuthError(message);
+            setIsAuthReady(true);
+        });
+        return () => unsubscribeAuth();
+    }, [providedStore]);
 
     useEffect(() => {
-        if (!isAuthReady || !db) return;
+        if (!isAuthReady || !store) return;
 
         const unsubscribers = [
-            onSnapshot(query(collection(db, `artifacts/${appId}/public/data/clients`)), (snapshot) => {
-                setClients(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data(), createdAt: doc.data().createdAt?.toDate() || new Date() })));
-                setIsLoading(false); 
-            }, (e) => { console.error("Error fetching clients:", e); setError("Erro ao carregar o ranking. Verifique as regras de segurança do Firestore."); setIsLoading(false); }),
-
-            onSnapshot(doc(db, `artifacts/${appId}/public/data/notice/config`), (docSnapshot) => {
-                if (docSnapshot.exists()) {
-                    const noticeData = { id: docSnapshot.id, ...docSnapshot.data() };
-                    setNotice(noticeData);
-                    const isDismissed = sessionStorage.getItem('noticeDismissedId') === noticeData.id;
-                    if (noticeData.isActive && !isDismissed) setShowNoticeModal(true);
-                }
-            }, (e) => console.error("Error fetching notice:", e)),
-
-            onSnapshot(query(collection(db, `artifacts/${appId}/public/data/whatsapp`)), (snapshot) => {
-                setActiveWhatsappNumbers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(num => num.isActive));
+            store.leaderboard.subscribe((data) => {
+                setLeaderboard(data);
+                setIsLoading(false);
+            }, (e) => { console.error("Error fetching leaderboard:", e); setError("Erro ao carregar o ranking. Verifique as regras de segurança do Firestore."); setIsLoading(false); }),
+
+            store.notices.subscribeActive(setNotices, (e) => console.error("Error fetching notices:", e)),
+
+            store.notices.subscribeDismissed(setDismissedNotices),
+
+            store.whatsapp.subscribe((numbers) => {
+                setActiveWhatsappNumbers(numbers.filter(num => num.isActive));
             }, (e) => console.error("Error fetching whatsapp numbers:", e))
         ];
 
         return () => unsubscribers.forEach(unsub => unsub());
-    }, [isAuthReady, db]);
+    }, [isAuthReady, store]);
+
+    // Sales, customers, seasons and settings are only readable by admins.
+    useEffect(() => {
+        if (!store || !adminUser) return;
+        const loaded = (key, setter) => (data) => {
+            setter(data);
+            setAdminLoaded(prev => (prev[key] ? prev : { ...prev, [key]: true }));
+        };
+        const unsubscribers = [
+            store.sales.subscribe(loaded('sales', setClients), (e) => { console.error("Error fetching clients:", e); setError("Erro ao carregar as vendas. Verifique as regras de segurança do Firestore."); }),
+            store.customers.subscribe(loaded('customers', setCustomers), (e) => console.error("Error fetching customers:", e)),
+            store.seasons.subscribe(loaded('seasons', setSeasons), (e) => console.error("Error fetching seasons:", e)),
+            store.settings.subscribe(loaded('settings', setRankingSettings), (e) => console.error("Error fetching ranking settings:", e))
+        ];
+        return () => {
+            unsubscribers.forEach(unsub => unsub());
+            setAdminLoaded({});
+            setClients([]);
+            setCustomers([]);
+            setSeasons([]);
+            setRankingSettings(RANKING_SETTINGS_DEFAULTS);
+        };
+    }, [store, adminUser]);
+    const isAdminDataReady = ['sales', 'customers', 'seasons', 'settings'].every(key => adminLoaded[key]);
+
+    // Sales queued while offline are written once an admin is signed in and the browser is back online.
+    useEffect(() => {
+        if (!store || !adminUser) return;
+        const syncPending = () => store.sales.syncPending();
+        syncPending();
+        window.addEventListener('online', syncPending);
+        return () => window.removeEventListener('online', syncPending);
+    }, [store, adminUser]);
+
+    // Scheduled notices start and end without a reload.
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
 
-    const handleCloseNotice = () => { setShowNoticeModal(false); sessionStorage.setItem('noticeDismissedId', notice.id); };
-    const handleAdminLogin = () => { sessionStorage.setItem('isAdminAuthed', 'true'); setIsAdminAuthenticated(true); };
+    useEffect(() => {
+        const handleHashChange = () => setProfileId(profileIdFromHash(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    const handleDismissNotice = (notice) => store.notices.dismiss(notice);
+    const openProfile = (id) => { window.location.hash = `${PROFILE_HASH}${encodeURIComponent(id)}`; };
+    const closeProfile = () => {
+        window.history.pushState(null, '', window.location.pathname + window.location.search);
+        setProfileId(null);
+    };
+    const handleNavigate = (nextPage) => {
+        if (profileId) closeProfile();
+        setPage(nextPage);
+    };
+    const handleLogout = async () => {
+        if (!store) return;
+        try { await store.auth.signOut(); } catch (e) { console.error("Error signing out:", e); }
+        setPage('ranking');
+    };
+
+    // Soft-deleted sales only show up in the admin trash.
+    const activeSales = useMemo(() => clients.filter(sale => !sale.deletedAt), [clients]);
+    const trashedSales = useMemo(() => clients.filter(sale => sale.deletedAt), [clients]);
+    // Live notices this visitor has not closed: one modal at a time, banners stacked above the navigation.
+    const visibleNotices = useMemo(() => sortNotices(notices).filter(notice => isNoticeLive(notice, now) && !isNoticeDismissed(dismissedNotices, notice)), [notices, dismissedNotices, now]);
+    const modalNotice = visibleNotices.find(notice => notice.displayMode === 'modal');
+    const bannerNotices = visibleNotices.filter(notice => notice.displayMode === 'banner');
+    const customersById = useMemo(() => Object.fromEntries(customers.map(customer => [customer.id, customer])), [customers]);
 
-    const rankedClients = useMemo(() => {
-        const clientTotals = clients.reduce((acc, sale) => {
-            const identifier = `${sale.firstName}|${sale.lastName}|${sale.instagram || ''}`.toLowerCase();
-            if (!acc[identifier]) acc[identifier] = { firstName: sale.firstName, lastName: sale.lastName, instagram: sale.instagram, totalValor: 0, id: identifier };
-            acc[identifier].totalValor += sale.valor || 0;
-            return acc;
-        }, {});
-        return Object.values(clientTotals).sort((a, b) => b.totalValor - a.totalValor).slice(0, 10);
-    }, [clients]);
+    // There is no server to maintain the public leaderboard, so signed-in admins do: whenever the
+    // data behind it changes, it is rebuilt and written if it differs from the published one.
+    // A rebuild that only differs because another admin published is not written back, so two
+    // admins whose builds disagree (an older version of the app, say) publish once each instead
+    // of overwriting each other forever.
+    const monthStart = utcMonthStart(now);
+    const builtSignature = useRef(null);
+    useEffect(() => {
+        if (!store || !adminUser || !isAdminDataReady || leaderboard === undefined) return;
+        const next = buildLeaderboard({ sales: activeSales, customersById, seasons, settings: rankingSettings, monthStart });
+        const signature = leaderboardSignature(next);
+        const isRebuilt = builtSignature.current !== signature;
+        builtSignature.current = signature;
+        if (!isRebuilt || leaderboard?.signature === signature) return;
+        store.leaderboard.publish({ ...next, signature }).catch(e => {
+            console.error("Error publishing leaderboard:", e);
+            builtSignature.current = null;
+        });
+    }, [store, adminUser, isAdminDataReady, leaderboard, activeSales, customersById, seasons, rankingSettings, monthStart]);
+
+    const boards = leaderboard?.boards || [];
+    // 'current' falls back to all-time while no season is running.
+    const board = boards.find(candidate => candidate.key === selectedBoard) || boards.find(candidate => candidate.key === 'all') || EMPTY_BOARD;
 
     const renderPage = () => {
         if (error) return <div className="text-center text-red-400 bg-red-900/50 p-8 rounded-lg">{error}</div>
         if (isLoading) return <LoadingSpinner />;
         
         if (page === 'dashboard') {
-            return isAdminAuthenticated 
-                ? <AdminDashboard allClients={clients} db={db} /> 
-                : <AdminKeyPromptModal onSuccess={handleAdminLogin} onCancel={() => setPage('ranking')} />;
+            if (adminUser && !isAdminDataReady) return <LoadingSpinner />;
+            return adminUser 
+                ? <AdminDashboard allClients={activeSales} trashedSales={trashedSales} customers={customers} seasons={seasons} rankingSettings={rankingSettings} store={store} adminUser={adminUser} /> 
+                : <AdminLoginModal store={store} authError={authError} onClearAuthError={() => setAuthError('')} onCancel={() => setPage('ranking')} />;
+        }
+        if (profileId) {
+            return <ClientProfile clientId={profileId} board={board} boards={boards} onBack={closeProfile} />;
         }
-        return <RankingPanel clients={rankedClients} />;
+        return <RankingPanel board={board} boards={boards} topSize={leaderboard?.topSize || RANKING_SETTINGS_DEFAULTS.topSize} onBoardChange={setSelectedBoard} onOpenProfile={openProfile} />;
     };
 
     return (
         <div className="bg-gray-900 text-white min-h-screen font-sans">
-            {showNoticeModal && <NoticeModal content={notice.htmlContent} onClose={handleCloseNotice} />}
+            {modalNotice && <NoticeModal notice={modalNotice} onClose={() => handleDismissNotice(modalNotice)} />}
             <div className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8">
                 <div className="relative mb-8">
                     <Header />
-                    <div className="absolute top-0 right-0 h-full flex items-center">
+                    <div className="absolute top-0 right-0 h-full flex items-center gap-2">
                          <button onClick={() => setPage('dashboard')} className="flex items-center gap-2 px-3 py-2 rounded-lg font-semibold transition-all duration-300 transform hover:scale-105 bg-gray-700 hover:bg-gray-600" title="Painel do Admin">
                             <UserPlus size={20} /> <span className="hidden sm:inline">Admin</span>
                          </button>
+                         {adminUser && (
+                            <button onClick={handleLogout} className="flex items-center gap-2 px-3 py-2 rounded-lg font-semibold transition-all duration-300 transform hover:scale-105 bg-gray-700 hover:bg-red-600" title={`Sair (${adminUser.email})`}>
+                                <LogOut size={20} />
+                            </button>
+                         )}
                     </div>
                 </div>
-                <Navigation currentPage={page} setPage={setPage} activeWhatsappNumbers={activeWhatsappNumbers} />
+                {bannerNotices.map(notice => <NoticeBanner key={notice.id} notice={notice} onClose={() => handleDismissNotice(notice)} />)}
+                <Navigation currentPage={page} setPage={handleNavigate} activeWhatsappNumbers={activeWhatsappNumbers} />
                 {renderPage()}
             </div>
         </div>
@@ -144,16 +508,31 @@ export default function App() {
 // --- UI Components ---
 const Header = () => ( <header className="text-center"><h1 className="text-4xl sm:text-5xl font-bold text-yellow-400 drop-shadow-lg flex items-center justify-center gap-3"><span role="img" aria-label="pinguim">🐧</span><span role="img" aria-label="coroa" style={{transform: 'translateY(-0.2em) rotate(-15deg)', display: 'inline-block'}}>👑</span><span>Ranking de Clientes</span><span role="img" aria-label="troféu">🏆</span></h1><p className="text-gray-400 mt-2">Veja os maiores contribuidores e gerencie suas vendas.</p></header> );
 const Navigation = ({ currentPage, setPage, activeWhatsappNumbers }) => { const btnStyle = "flex-1 sm:flex-initial flex items-center justify-center gap-2 px-4 py-3 rounded-lg font-semibold transition-all duration-300 transform hover:scale-105"; const active = "bg-yellow-500 text-gray-900 shadow-lg"; const inactive = "bg-gray-700 hover:bg-gray-600"; const WhatsAppIcon = () => (<svg viewBox="0 0 32 32" className="w-5 h-5" fill="currentColor"><path d=" M19.11 17.205c-.372 0-1.088 1.39-1.518 1.39a.63.63 0 0 1-.315-.1c-.802-.402-1.504-.817-2.163-1.447-.545-.516-1.146-1.29-1.46-1.963a.426.426 0 0 1-.073-.215c0-.33.99-.945.99-1.49 0-.143-.73-2.09-.832-2.335-.143-.372-.214-.487-.6-.487-.187 0-.36-.044-.53-.044-.302 0-.53.115-.746.315-.688.645-1.032 1.318-1.06 2.264v.114c-.015.99.472 1.977 1.017 2.78 1.23 1.82 2.506 3.41 4.554 4.34.616.287 2.035.888 2.722.888.817 0 2.15-.515 2.52-1.298.372-.783.372-1.49.214-1.743-.143-.254-.315-.315-.6-.315z M16 2 C7.973 2 2 7.973 2 16 c 0 2.565.65 5.05 1.865 7.245L2 30l7.02-1.845a13.91 13.91 0 0 0 6.98 1.845c8.027 0 14-5.973 14-14C30 7.973 24.027 2 16 2z m0 25.54a11.43 11.43 0 0 1-6.208-1.858l-.44-.26-4.545 1.19 1.212-4.43-.288-.457A11.48 11.48 0 0 1 4 16C4 9.398 9.398 4 16 4s12 5.398 12 12-5.398 11.54-12 11.54z"></path></svg>); return (<nav className="flex flex-col sm:flex-row gap-4 mb-8 flex-wrap justify-center"><button onClick={() => setPage('ranking')} className={`${btnStyle} ${currentPage === 'ranking' ? active : inactive}`}><Crown size={20} /> Ranking Público</button>{activeWhatsappNumbers.map(num => (<a key={num.id} href={`https://wa.me/${num.number}`} target="_blank" rel="noopener noreferrer" className={`${btnStyle} bg-green-500 hover:bg-green-600 text-white`}><WhatsAppIcon /><span>{num.label}</span></a>))}</nav>);};
-const RankingPanel = ({ clients }) => { const rankColors = ['text-yellow-400', 'text-gray-300', 'text-yellow-600']; return (<div className="bg-gray-800 p-6 rounded-xl shadow-2xl"><h2 className="text-2xl font-bold mb-6 flex items-center gap-3"><BarChart2 /> Top 10 Clientes</h2>{clients.length === 0 ? <p className="text-gray-400 text-center py-8">O ranking ainda está vazio.</p> : (<ul className="space-y-4">{clients.map((client, index) => (<li key={client.id} className="flex items-center bg-gray-700/50 p-4 rounded-lg transition-transform hover:translate-x-1"><span className={`text-2xl font-bold w-12 ${rankColors[index] || 'text-gray-400'}`}>{index + 1}</span><div className="flex-grow"><p className="font-semibold text-lg">{client.firstName} {client.lastName}</p>{index < 3 ? <p className="text-sm text-green-400">R$ {client.totalValor.toFixed(2)}</p> : <p className="text-sm text-gray-500 italic flex items-center gap-1.5"><Lock size={12}/> Valor Privado</p>}</div>{client.instagram && (<a href={`https://instagram.com/${client.instagram.replace('@', '')}`} target="_blank" rel="noopener noreferrer" className="text-pink-500 hover:text-pink-400 p-2 rounded-full hover:bg-gray-600"><Instagram size={24} /></a>)}</li>))}</ul>)}</div>);};
-const AdminDashboard = ({ allClients, db }) => { const [adminPage, setAdminPage] = useState('sales'); if (!db) return <LoadingSpinner />; return (<div className="flex flex-col gap-8"><AdminNav currentPage={adminPage} setPage={setAdminPage} />{adminPage === 'sales' && <SalesManagement allClients={allClients} db={db} />}{adminPage === 'notice' && <NoticeManagement db={db} />}{adminPage === 'whatsapp' && <WhatsappManagement db={db} />}</div>);};
-const AdminNav = ({ currentPage, setPage }) => { const active = "border-yellow-400 text-yellow-400"; const inactive = "border-transparent text-gray-400 hover:text-white"; return (<div className="flex flex-wrap justify-center border-b border-gray-700 mb-4"><button onClick={() => setPage('sales')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'sales' ? active : inactive}`}>Vendas</button><button onClick={() => setPage('notice')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'notice' ? active : inactive}`}>Avisos</button><button onClick={() => setPage('whatsapp')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'whatsapp' ? active : inactive}`}>WhatsApp</button></div>);};
-const SalesManagement = ({ allClients, db }) => { const [formState, setFormState] = useState({ firstName: '', lastName: '', instagram: '', valor: '' }); const [showKeyPrompt, setShowKeyPrompt] = useState(false); const [isSubmitting, setIsSubmitting] = useState(false); const [editingClient, setEditingClient] = useState(null); const [suggestions, setSuggestions] = useState([]); const [showSuggestions, setShowSuggestions] = useState(false); const suggestionsContainerRef = useRef(null); useEffect(() => { const handleClickOutside = (e) => { if (suggestionsContainerRef.current && !suggestionsContainerRef.current.contains(e.target)) setShowSuggestions(false); }; document.addEventListener("mousedown", handleClickOutside); return () => document.removeEventListener("mousedown", handleClickOutside); }, []); const uniqueClients = useMemo(() => { const seen = new Set(); return allClients.filter(c => { const id = `${c.firstName}|${c.lastName}|${c.instagram || ''}`.toLowerCase(); return !seen.has(id) && seen.add(id); }); }, [allClients]); const handleFormChange = (e) => { const { name, value } = e.target; setFormState(prev => ({...prev, [name]: value})); if (name === 'firstName') { if (!value.trim()) { setShowSuggestions(false); return; } const filtered = uniqueClients.filter(c => c.firstName.toLowerCase().startsWith(value.toLowerCase()) || c.lastName.toLowerCase().startsWith(value.toLowerCase())); setSuggestions(filtered); setShowSuggestions(true); } }; const handleSuggestionClick = (c) => { setFormState({ ...formState, firstName: c.firstName, lastName: c.lastName, instagram: c.instagram || '' }); setShowSuggestions(false); }; const handleAddClient = async (e) => { e.preventDefault(); const { firstName, lastName, instagram, valor } = formState; if (!firstName || !lastName || !valor || !db) return; setIsSubmitting(true); try { let finalInstagram = instagram.trim(); if (finalInstagram && !finalInstagram.startsWith('@')) { finalInstagram = `@${finalInstagram}`; } await addDoc(collection(db, `artifacts/${appId}/public/data/clients`), { firstName: firstName.trim(), lastName: lastName.trim(), instagram: finalInstagram, valor: parseFloat(valor), createdAt: new Date(), }); setFormState({ firstName: '', lastName: '', instagram: '', valor: '' }); } catch (error) { console.error("Error adding client: ", error); } finally { setIsSubmitting(false); } }; const handleUpdateClient = async (data) => { if (!db || !editingClient) return; try { await updateDoc(doc(db, `artifacts/${appId}/public/data/clients`, editingClient.id), data); } catch (e) { console.error(e); } finally { setEditingClient(null); }}; const handleDeleteAll = async () => { if (!db) return; try { const snap = await getDocs(collection(db, `artifacts/${appId}/public/data/clients`)); const batch = writeBatch(db); snap.forEach(d => batch.delete(d.ref)); await batch.commit(); } catch (e) { console.error(e); } setShowKeyPrompt(false); }; const sortedClients = useMemo(() => [...allClients].sort((a, b) => b.createdAt - a.createdAt), [allClients]); return (<div className="relative pb-10"><div className="grid grid-cols-1 lg:grid-cols-2 gap-8"><div className="bg-gray-800 p-6 rounded-xl shadow-2xl"><h2 className="text-2xl font-bold mb-6">Registrar Nova Venda</h2><form onSubmit={handleAddClient} className="space-y-4"><div className="relative" ref={suggestionsContainerRef}><input name="firstName" placeholder="Nome" value={formState.firstName} onChange={handleFormChange} onFocus={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg" required />{showSuggestions && suggestions.length > 0 && <ul className="absolute z-10 w-full bg-gray-600 border-gray-500 rounded-b-lg max-h-48 overflow-y-auto mt-1">{suggestions.map((s, i) => <li key={i} className="p-3 cursor-pointer hover:bg-yellow-500" onMouseDown={() => handleSuggestionClick(s)}>{s.firstName} {s.lastName}</li>)}</ul>}</div><input name="lastName" placeholder="Sobrenome" value={formState.lastName} onChange={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg" required /><input name="instagram" placeholder="@instagram (opcional)" value={formState.instagram} onChange={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg" /><input name="valor" type="number" step="0.01" placeholder="Valor Pago" value={formState.valor} onChange={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg" required /><button type="submit" className="w-full bg-green-600 p-3 rounded-lg font-bold" disabled={isSubmitting}>{isSubmitting ? 'Adicionando...' : 'Adicionar Cliente'}</button></form></div><div className="bg-gray-800 p-6 rounded-xl shadow-2xl flex flex-col"><h2 className="text-2xl font-bold mb-6">Histórico de Vendas</h2><div className="flex-grow overflow-y-auto max-h-96 pr-2">{sortedClients.length === 0 ? <p className="text-gray-400 text-center py-8">Nenhuma venda registrada.</p> : <ul className="space-y-3">{sortedClients.map(c => <li key={c.id} className="flex justify-between items-center bg-gray-700/50 p-3 rounded-lg"><div className="flex items-center gap-3"><span>{c.firstName} {c.lastName}</span><button onClick={() => setEditingClient(c)} className="text-gray-400 hover:text-yellow-400"><Edit size={16} /></button></div><span className="font-semibold text-green-400">R$ {c.valor.toFixed(2)}</span></li>)}</ul>}</div></div></div><div className="absolute bottom-0 left-0 p-2"><button onClick={() => setShowKeyPrompt(true)} className="text-gray-600 hover:text-red-500" title="Apagar histórico"><Trash2 size={24} /></button></div>{editingClient && <EditClientModal client={editingClient} onSave={handleUpdateClient} onCancel={() => setEditingClient(null)} />}{showKeyPrompt && <KeyPromptModal onConfirm={handleDeleteAll} onCancel={() => setShowKeyPrompt(false)} />}</div>);};
-const NoticeManagement = ({ db }) => { const [content, setContent] = useState(''); const [isActive, setIsActive] = useState(false); const [isLoading, setIsLoading] = useState(true); const [isSaving, setIsSaving] = useState(false); useEffect(() => { if (!db) { setIsLoading(false); return; } const noticeDocRef = doc(db, `artifacts/${appId}/public/data/notice/config`); const unsub = onSnapshot(noticeDocRef, (doc) => { if (doc.exists()) { const data = doc.data(); setContent(data.htmlContent || ''); setIsActive(data.isActive || false); } setIsLoading(false); }); return () => unsub(); }, [db]); const handleSave = async (toggle = false) => { if (!db) return; setIsSaving(true); const newIsActive = toggle ? !isActive : isActive; try { await setDoc(doc(db, `artifacts/${appId}/public/data/notice/config`), { htmlContent: content, isActive: newIsActive, id: `notice-${Date.now()}` }, { merge: true }); if (toggle) setIsActive(newIsActive); } catch (e) { console.error("Error saving notice: ", e); } finally { setIsSaving(false); } }; if (isLoading) return <LoadingSpinner />; return (<div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-6"><h2 className="text-2xl font-bold">Gerenciar Aviso Global</h2><textarea value={content} onChange={(e) => setContent(e.target.value)} className="w-full bg-gray-900 text-white p-4 rounded-lg min-h-[150px] border border-gray-600 focus:ring-2 focus:ring-yellow-500" placeholder="Digite seu aviso aqui. Pode usar tags HTML como <b> para negrito."/> <div className="flex flex-col sm:flex-row gap-4"><button onClick={() => handleSave(false)} disabled={isSaving} className="flex-1 bg-blue-600 p-3 rounded-lg font-bold disabled:bg-gray-500">{isSaving ? 'Salvando...' : 'Salvar Conteúdo'}</button><button onClick={() => handleSave(true)} disabled={isSaving} className={`flex-1 p-3 rounded-lg font-bold ${isActive ? 'bg-red-600' : 'bg-green-600'}`}>{isSaving ? 'Alterando...' : (isActive ? 'Desativar Aviso' : 'Ativar Aviso')}</button></div></div>); };
-const WhatsappManagement = ({ db }) => { const [numbers, setNumbers] = useState([]); const [isLoading, setIsLoading] = useState(true); const [newNumber, setNewNumber] = useState(''); const [newLabel, setNewLabel] = useState(''); useEffect(() => { if (!db) { setIsLoading(false); return; } const collectionRef = collection(db, `artifacts/${appId}/public/data/whatsapp`); const unsub = onSnapshot(collectionRef, snapshot => { setNumbers(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))); setIsLoading(false); }); return () => unsub(); }, [db]); const handleAddNumber = async (e) => { e.preventDefault(); if (!newNumber || !newLabel || !db) return; const sanitizedNumber = newNumber.replace(/\D/g, ''); await addDoc(collection(db, `artifacts/${appId}/public/data/whatsapp`), { number: sanitizedNumber, label: newLabel, isActive: true, createdAt: new Date() }); setNewNumber(''); setNewLabel(''); }; const handleToggle = async (id, currentStatus) => { if(!db) return; await updateDoc(doc(db, `artifacts/${appId}/public/data/whatsapp`, id), { isActive: !currentStatus }); }; const handleDelete = async (id) => { if(!db) return; await deleteDoc(doc(db, `artifacts/${appId}/public/data/whatsapp`, id)); }; if (isLoading) return <LoadingSpinner />; return (<div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-6"><h2 className="text-2xl font-bold mb-6">Gerenciar Contatos do WhatsApp</h2><form onSubmit={handleAddNumber} className="flex flex-col sm:flex-row gap-4"><input value={newLabel} onChange={e => setNewLabel(e.target.value)} placeholder="Rótulo (ex: Vendas)" className="flex-1 bg-gray-700 p-3 rounded-lg" required /><input value={newNumber} onChange={e => setNewNumber(e.target.value)} placeholder="Número (ex: 5541999998888)" className="flex-1 bg-gray-700 p-3 rounded-lg" required /><button type="submit" className="bg-green-600 p-3 rounded-lg font-bold">Adicionar</button></form><ul className="space-y-3">{numbers.length > 0 ? numbers.map(num => (<li key={num.id} className="flex items-center justify-between bg-gray-700/50 p-3 rounded-lg"><div><p className="font-semibold">{num.label}</p><p className="text-sm text-gray-400">+{num.number}</p></div><div className="flex items-center gap-4"><button onClick={() => handleToggle(num.id, num.isActive)} className={`font-bold text-sm px-3 py-1 rounded-full ${num.isActive ? "bg-green-500" : "bg-gray-500"}`}>{num.isActive ? "Ativo" : "Inativo"}</button><button onClick={() => handleDelete(num.id)} className="text-gray-400 hover:text-red-500"><Trash2 size={18} /></button></div></li>)) : <p className="text-center text-gray-400">Nenhum número adicionado.</p> }</ul></div>);};
+const RankingPanel = ({ board, boards, topSize, onBoardChange, onOpenProfile }) => { const rankColors = ['text-yellow-400', 'text-gray-300', 'text-yellow-600']; const clients = board.entries; const [isSharing, setIsSharing] = useState(false); const [shareError, setShareError] = useState(''); const handleShare = async () => { setIsSharing(true); setShareError(''); try { await shareImage(await renderRankingImage({ subtitle: formatBoard(board), rows: clients.map(shareRow) }), `ranking-top-${Math.min(clients.length, MAX_RANKING_ROWS)}.png`); } catch (e) { console.error("Error sharing ranking: ", e); setShareError('Não foi possível gerar a imagem.'); } finally { setIsSharing(false); } }; return (<div className="bg-gray-800 p-6 rounded-xl shadow-2xl"><div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6"><div><h2 className="text-2xl font-bold flex items-center gap-3"><BarChart2 /> Top {topSize} Clientes</h2><p className="text-sm text-gray-400 mt-1 flex items-center gap-1.5"><CalendarDays size={14} /> {formatBoard(board)}{board.previousLabel && <span className="text-gray-500">· variação {board.previousLabel}</span>}</p></div><div className="flex items-center gap-2">{boards.length > 1 && (<select value={board.key} onChange={(e) => onBoardChange(e.target.value)} className="bg-gray-700 p-2 rounded-lg text-sm" aria-label="Escolher ranking">{boards.map(option => <option key={option.key} value={option.key}>{option.key === 'current' ? `Temporada atual (${option.season.name})` : option.season ? option.season.name : 'Todos os tempos'}</option>)}</select>)}{clients.length > 0 && <button onClick={handleShare} disabled={isSharing} className="bg-gray-700 hover:bg-gray-600 p-2 rounded-lg disabled:opacity-50" title={`Compartilhar imagem do Top ${Math.min(clients.length, MAX_RANKING_ROWS)}`}><Share2 size={20} /></button>}</div></div>{shareError && <p className="text-sm text-red-400 mb-4">{shareError}</p>}{clients.length === 0 ? <p className="text-gray-400 text-center py-8">O ranking ainda está vazio.</p> : (<ul className="space-y-4">{clients.map((client, index) => (<li key={client.position} className="flex items-center bg-gray-700/50 p-4 rounded-lg transition-transform hover:translate-x-1"><span className={`text-2xl font-bold w-12 ${rankColors[index] || 'text-gray-400'}`}>{index + 1}</span><div className="flex-grow"><p className="font-semibold text-lg flex items-center gap-2 flex-wrap">{client.id ? <button onClick={() => onOpenProfile(client.id)} className="hover:text-yellow-400 hover:underline text-left">{client.firstName} {client.lastName}</button> : <span className="text-gray-300">{client.firstName} {client.lastName}</span>}{client.tier && <TierBadge tier={tierByKey(client.tier)} />}{client.movement && <MovementBadge movement={describeMovement(client.movement)} />}</p>{client.value ? <p className="text-sm text-green-400">{client.value}</p> : <p className="text-sm text-gray-500 italic flex items-center gap-1.5"><Lock size={12}/> Valor Privado</p>}</div>{client.instagram && (<a href={`https://instagram.com/${client.instagram.replace('@', '')}`} target="_blank" rel="noopener noreferrer" className="text-pink-500 hover:text-pink-400 p-2 rounded-full hover:bg-gray-600"><Instagram size={24} /></a>)}</li>))}</ul>)}</div>);};
+const TierBadge = ({ tier }) => (<span className={`text-xs font-bold px-2 py-0.5 rounded-full flex items-center gap-1 ${tier.className}`}><Medal size={12} /> {tier.label}</span>);
+const MovementBadge = ({ movement }) => (<span className={`text-sm font-bold ${movement.className}`} title={movement.title}>{movement.text}</span>);
+const ClientProfile = ({ clientId, board, boards, onBack }) => { const [isSharing, setIsSharing] = useState(false); const [shareError, setShareError] = useState(''); const entry = board.entries.find(candidate => candidate.id === clientId); const person = entry || boards.flatMap(candidate => candidate.entries).find(candidate => candidate.id === clientId); if (!person) return (<div className="bg-gray-800 p-6 rounded-xl shadow-2xl text-center space-y-4"><p className="text-gray-400">Cliente não encontrado.</p><button onClick={onBack} className="text-yellow-400 hover:underline">Voltar ao ranking</button></div>); const tier = tierByKey(person.tier); const movement = describeMovement(entry?.movement); const handleShare = async () => { setIsSharing(true); setShareError(''); try { await shareImage(await renderClientCardImage({ subtitle: formatBoard(board), ...(entry ? shareRow(entry) : { name: `${person.firstName} ${person.lastName}`, instagram: person.instagram, tier }) }), `ranking-${person.firstName}-${person.lastName}.png`.toLowerCase().replace(/\s+/g, '-')); } catch (e) { console.error("Error sharing profile: ", e); setShareError('Não foi possível gerar a imagem.'); } finally { setIsSharing(false); } }; return (<div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-6"><button onClick={onBack} className="text-gray-400 hover:text-white flex items-center gap-2 text-sm"><ArrowLeft size={16} /> Voltar ao ranking</button><div className="text-center space-y-3"><p className={`text-7xl font-bold ${['text-yellow-400', 'text-gray-300', 'text-yellow-600'][entry?.position - 1] || 'text-yellow-400'}`} aria-label="Posição">{entry ? `#${entry.position}` : '—'}</p><h2 className="text-3xl font-bold">{person.firstName} {person.lastName}</h2>{person.instagram && <a href={`https://instagram.com/${person.instagram.replace('@', '')}`} target="_blank" rel="noopener noreferrer" className="text-pink-500 hover:text-pink-400 inline-flex items-center gap-1"><Instagram size={18} /> {person.instagram}</a>}<p className="text-sm text-gray-400 flex items-center justify-center gap-1.5"><CalendarDays size={14} /> {formatBoard(board)}</p></div><div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-center"><div className="bg-gray-700/50 p-4 rounded-lg" role="group" aria-label="Nível"><p className="text-sm text-gray-400 mb-2">Nível</p>{tier ? <div className="flex justify-center"><TierBadge tier={tier} /></div> : <p className="text-gray-500">—</p>}</div><div className="bg-gray-700/50 p-4 rounded-lg" role="group" aria-label="Variação"><p className="text-sm text-gray-400 mb-2">Variação {board.previousLabel || ''}</p>{movement ? <p className={`text-xl font-bold ${movement.className}`}>{movement.text} <span className="block text-xs font-normal text-gray-400">{movement.title}</span></p> : <p className="text-gray-500">—</p>}</div><div className="bg-gray-700/50 p-4 rounded-lg" role="group" aria-label="Total"><p className="text-sm text-gray-400 mb-2">Total</p>{entry?.value ? <p className="text-xl font-bold text-green-400">{entry.value}</p> : <p className="text-gray-500 italic flex items-center justify-center gap-1.5"><Lock size={12} /> Valor Privado</p>}</div></div>{!entry && <p className="text-center text-sm text-gray-400">Este cliente não aparece neste ranking.</p>}<button onClick={handleShare} disabled={isSharing} className="w-full bg-pink-600 hover:bg-pink-500 p-3 rounded-lg font-bold flex items-center justify-center gap-2 disabled:bg-gray-500"><Share2 size={18} /> {isSharing ? 'Gerando imagem...' : 'Compartilhar'}</button>{shareError && <p className="text-sm text-red-400 text-center">{shareError}</p>}</div>); };
+const AdminDashboard = ({ allClients, trashedSales, customers, seasons, rankingSettings, store, adminUser }) => { const [adminPage, setAdminPage] = useState('sales'); const [undo, setUndo] = useState(null); const [undoError, setUndoError] = useState(''); const offerUndo = (message, entries) => { setUndoError(''); setUndo({ message, entries }); }; const handleUndo = async () => { const { entries } = undo; setUndo(null); try { await store.audit.revert(entries); } catch (e) { console.error("Error undoing action: ", e); setUndoError(e.code === 'audit/conflict' ? e.message : 'Não foi possível desfazer a alteração.'); } }; const isOwner = adminUser.role === ROLES.OWNER; if (!store) return <LoadingSpinner />; return (<div className="flex flex-col gap-8"><p className="text-center text-sm text-gray-400">Conectado como <span className="text-white">{adminUser.email}</span> · {ROLE_LABELS[adminUser.role]}</p>{undoError && <p role="alert" className="text-center text-sm text-red-500">{undoError}</p>}<AdminNav currentPage={adminPage} setPage={setAdminPage} isOwner={isOwner} />{adminPage === 'sales' && <SalesManagement allClients={allClients} trashedSales={trashedSales} customers={customers} store={store} isOwner={isOwner} onUndoable={offerUndo} />}{adminPage === 'customers' && <CustomerManagement allClients={allClients} trashedSales={trashedSales} customers={customers} store={store} />}{adminPage === 'reports' && <ReportsPanel allClients={allClients} customers={customers} />}{adminPage === 'transfer' && <DataTransfer allClients={allClients} customers={customers} store={store} />}{adminPage === 'seasons' && <SeasonManagement allClients={allClients} customers={customers} seasons={seasons} archiveSize={rankingSettings.topSize} store={store} />}{adminPage === 'notice' && <NoticeManagement store={store} onUndoable={offerUndo} />}{adminPage === 'ranking' && isOwner && <RankingSettings settings={rankingSettings} customers={customers} store={store} />}{adminPage === 'whatsapp' && isOwner && <WhatsappManagement store={store} onUndoable={offerUndo} />}{adminPage === 'audit' && <AuditLog store={store} isOwner={isOwner} />}{undo && <UndoToast key={undo.entries[0]?.id} message={undo.message} onUndo={handleUndo} onClose={() => setUndo(null)} />}</div>);};
+const AdminNav = ({ currentPage, setPage, isOwner }) => { const active = "border-yellow-400 text-yellow-400"; const inactive = "border-transparent text-gray-400 hover:text-white"; return (<div className="flex flex-wrap justify-center border-b border-gray-700 mb-4"><button onClick={() => setPage('sales')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'sales' ? active : inactive}`}>Vendas</button><button onClick={() => setPage('customers')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'customers' ? active : inactive}`}>Clientes</button><button onClick={() => setPage('reports')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'reports' ? active : inactive}`}>Relatórios</button><button onClick={() => setPage('transfer')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'transfer' ? active : inactive}`}>Importar/Exportar</button><button onClick={() => setPage('seasons')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'seasons' ? active : inactive}`}>Temporadas</button><button onClick={() => setPage('notice')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'notice' ? active : inactive}`}>Avisos</button>{isOwner && <button onClick={() => setPage('ranking')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'ranking' ? active : inactive}`}>Ranking</button>}{isOwner && <button onClick={() => setPage('whatsapp')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'whatsapp' ? active : inactive}`}>WhatsApp</button>}<button onClick={() => setPage('audit')} className={`pb-3 px-4 sm:px-6 font-semibold border-b-2 transition-colors ${currentPage === 'audit' ? active : inactive}`}>Auditoria</button></div>);};
+const SalesManagement = ({ allClients, trashedSales, customers, store, isOwner, onUndoable }) => { const [formState, setFormState] = useState({ firstName: '', lastName: '', instagram: '', valor: '' }); const [showKeyPrompt, setShowKeyPrompt] = useState(false); const [showTrash, setShowTrash] = useState(false); const [showPurgeConfirm, setShowPurgeConfirm] = useState(false); const [isSubmitting, setIsSubmitting] = useState(false); const [editingClient, setEditingClient] = useState(null); const [suggestions, setSuggestions] = useState([]); const [showSuggestions, setShowSuggestions] = useState(false); const [pendingSales, setPendingSales] = useState([]); const [saleMessage, setSaleMessage] = useState(''); const suggestionsContainerRef = useRef(null); useEffect(() => store.sales.subscribePending(setPendingSales), [store]); useEffect(() => { const handleClickOutside = (e) => { if (suggestionsContainerRef.current && !suggestionsContainerRef.current.contains(e.target)) setShowSuggestions(false); }; document.addEventListener("mousedown", handleClickOutside); return () => document.removeEventListener("mousedown", handleClickOutside); }, []); const uniqueClients = useMemo(() => { const seen = new Set(); return [...customers, ...allClients.filter(c => !c.customerId)].filter(c => { const id = legacyClientKey(c); return !seen.has(id) && seen.add(id); }); }, [allClients, customers]); const handleFormChange = (e) => { const { name, value } = e.target; setFormState(prev => ({...prev, [name]: value})); if (name === 'firstName') { if (!value.trim()) { setShowSuggestions(false); return; } const filtered = uniqueClients.filter(c => c.firstName.toLowerCase().startsWith(value.toLowerCase()) || c.lastName.toLowerCase().startsWith(value.toLowerCase())); setSuggestions(filtered); setShowSuggestions(true); } }; const handleSuggestionClick = (c) => { setFormState({ ...formState, firstName: c.firstName, lastName: c.lastName, instagram: c.instagram || '' }); setShowSuggestions(false); }; const handleAddClient = async (e) => { e.preventDefault(); const { firstName, lastName, instagram, valor } = formState; if (!firstName || !lastName || !valor || !store) return; setIsSubmitting(true); setSaleMessage(''); try { const { queued } = await store.sales.register({ firstName: firstName.trim(), lastName: lastName.trim(), instagram: normalizeInstagram(instagram), valor: parseFloat(valor), createdAt: new Date() }, customers); if (queued) setSaleMessage('Sem conexão: a venda foi guardada e será enviada quando a internet voltar.'); setFormState({ firstName: '', lastName: '', instagram: '', valor: '' }); } catch (error) { console.error("Error adding client: ", error); } finally { setIsSubmitting(false); } }; const handleUpdateClient = async (data) => { if (!store || !editingClient) return; try { const entries = await store.sales.update(editingClient, { ...data, firstName: data.firstName.trim(), lastName: data.lastName.trim(), instagram: normalizeInstagram(data.instagram) }, customers); onUndoable('Venda atualizada.', entries); } catch (e) { console.error(e); } finally { setEditingClient(null); }}; const handleDeleteSale = async (sale) => { if (!store) return; try { onUndoable(`Venda de ${sale.firstName} ${sale.lastName} movida para a lixeira.`, await store.sales.remove(sale)); } catch (e) { console.error("Error deleting sale: ", e); } }; const handleRestoreSale = async (sale) => { if (!store) return; try { await store.sales.restore(sale, customers); } catch (e) { console.error("Error restoring sale: ", e); } }; const handleDeleteAll = async () => { if (!store) return; try { onUndoable(`${allClients.length} venda(s) movida(s) para a lixeira.`, await store.sales.removeAll(allClients)); } catch (e) { console.error(e); } setShowKeyPrompt(false); }; const handlePurge = async () => { setShowPurgeConfirm(false); if (!store) return; try { onUndoable(`${trashedSales.length} venda(s) excluída(s) definitivamente.`, await store.sales.purge(trashedSales)); } catch (e) { console.error("Error emptying trash: ", e); } }; const sortedClients = useMemo(() => [...allClients].sort((a, b) => b.createdAt - a.createdAt), [allClients]); const sortedTrash = useMemo(() => [...trashedSales].sort((a, b) => b.deletedAt - a.deletedAt), [trashedSales]); return (<div className="relative pb-10"><div className="grid grid-cols-1 lg:grid-cols-2 gap-8"><div className="bg-gray-800 p-6 rounded-xl shadow-2xl"><h2 className="text-2xl font-bold mb-6">Registrar Nova Venda</h2><form onSubmit={handleAddClient} className="space-y-4"><div className="relative" ref={suggestionsContainerRef}><input name="firstName" placeholder="Nome" value={formState.firstName} onChange={handleFormChange} onFocus={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg" required />{showSuggestions && suggestions.length > 0 && <ul className="absolute z-10 w-full bg-gray-600 border-gray-500 rounded-b-lg max-h-48 overflow-y-auto mt-1">{suggestions.map((s, i) => <li key={i} className="p-3 cursor-pointer hover:bg-yellow-500" onMouseDown={() => handleSuggestionClick(s)}>{s.firstName} {s.lastName}</li>)}</ul>}</div><input name="lastName" placeholder="Sobrenome" value={formState.lastName} onChange={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg" required /><input name="instagram" placeholder="@instagram (opcional)" value={formState.instagram} onChange={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg" /><input name="valor" type="number" step="0.01" placeholder="Valor Pago" value={formState.valor} onChange={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg" required /><button type="submit" className="w-full bg-green-600 p-3 rounded-lg font-bold" disabled={isSubmitting}>{isSubmitting ? 'Adicionando...' : 'Adicionar Cliente'}</button></form>{saleMessage && <p className="text-sm text-yellow-400 mt-4">{saleMessage}</p>}{pendingSales.length > 0 && (<div className="mt-4 bg-yellow-900/40 border border-yellow-600 p-3 rounded-lg"><p className="text-sm font-semibold mb-2">{pendingSales.length} venda(s) aguardando sincronização</p><ul className="space-y-1 text-sm text-gray-300">{pendingSales.map(sale => <li key={sale.id} className="flex justify-between"><span>{sale.firstName} {sale.lastName}</span><span>R$ {sale.valor.toFixed(2)}</span></li>)}</ul></div>)}</div><div className="bg-gray-800 p-6 rounded-xl shadow-2xl flex flex-col"><div className="flex justify-between items-center mb-6"><h2 className="text-2xl font-bold">{showTrash ? 'Lixeira' : 'Histórico de Vendas'}</h2><button onClick={() => setShowTrash(!showTrash)} className="text-sm text-gray-400 hover:text-white flex items-center gap-1.5">{showTrash ? <><ArrowLeft size={16} /> Voltar</> : <><Trash2 size={16} /> Lixeira ({trashedSales.length})</>}</button></div><div className="flex-grow overflow-y-auto max-h-96 pr-2">{showTrash ? (sortedTrash.length === 0 ? <p className="text-gray-400 text-center py-8">A lixeira está vazia.</p> : <ul className="space-y-3">{sortedTrash.map(c => <li key={c.id} className="flex justify-between items-center bg-gray-700/50 p-3 rounded-lg"><div><p>{c.firstName} {c.lastName} <span className="font-semibold text-green-400">R$ {c.valor.toFixed(2)}</span></p><p className="text-xs text-gray-400">Excluída em {c.deletedAt.toLocaleString('pt-BR')}</p></div><button onClick={() => handleRestoreSale(c)} className="text-gray-400 hover:text-green-400" title="Restaurar venda"><RotateCcw size={16} /></button></li>)}</ul>) : (sortedClients.length === 0 ? <p className="text-gray-400 text-center py-8">Nenhuma venda registrada.</p> : <ul className="space-y-3">{sortedClients.map(c => <li key={c.id} className="flex justify-between items-center bg-gray-700/50 p-3 rounded-lg"><div className="flex items-center gap-3"><span>{c.firstName} {c.lastName}</span><button onClick={() => setEditingClient(c)} className="text-gray-400 hover:text-yellow-400" title="Editar venda"><Edit size={16} /></button><button onClick={() => handleDeleteSale(c)} className="text-gray-400 hover:text-red-500" title="Excluir venda"><Trash2 size={16} /></button></div><span className="font-semibold text-green-400">R$ {c.valor.toFixed(2)}</span></li>)}</ul>)}</div>{showTrash && isOwner && sortedTrash.length > 0 && <button onClick={() => setShowPurgeConfirm(true)} className="mt-4 w-full bg-red-600 p-2 rounded-lg font-bold text-sm">Esvaziar Lixeira</button>}</div></div>{isOwner && <div className="absolute bottom-0 left-0 p-2"><button onClick={() => setShowKeyPrompt(true)} className="text-gray-600 hover:text-red-500" title="Mover histórico para a lixeira"><Trash2 size={24} /></button></div>}{editingClient && <EditClientModal client={editingClient} onSave={handleUpdateClient} onCancel={() => setEditingClient(null)} />}{showKeyPrompt && <ReauthPromptModal store={store} onConfirm={handleDeleteAll} onCancel={() => setShowKeyPrompt(false)} />}{showPurgeConfirm && <ConfirmModal title="Esvaziar Lixeira" message={`Excluir definitivamente ${trashedSales.length} venda(s)? Elas continuam recuperáveis pelo registro de auditoria.`} confirmLabel="Excluir" onConfirm={handlePurge} onCancel={() => setShowPurgeConfirm(false)} />}</div>);};
+const CustomerManagement = ({ allClients, trashedSales, customers, store }) => { const [search, setSearch] = useState(''); const [selectedId, setSelectedId] = useState(null); const [selectedSaleIds, setSelectedSaleIds] = useState([]); const [splitForm, setSplitForm] = useState({ firstName: '', lastName: '', instagram: '' }); const [pendingMerge, setPendingMerge] = useState(null); const [isWorking, setIsWorking] = useState(false); const [message, setMessage] = useState(''); const salesByCustomer = useMemo(() => allClients.reduce((acc, sale) => { if (sale.customerId) (acc[sale.customerId] = acc[sale.customerId] || []).push(sale); return acc; }, {}), [allClients]); const everySale = useMemo(() => [...allClients, ...trashedSales], [allClients, trashedSales]); const unmigratedCount = useMemo(() => everySale.filter(sale => !sale.customerId).length, [everySale]); const candidates = useMemo(() => findDuplicateCandidates(customers.filter(c => salesByCustomer[c.id])), [customers, salesByCustomer]); const filteredCustomers = useMemo(() => { const term = normalizeName(search); return customers.filter(c => !term || normalizeName(`${c.firstName} ${c.lastName} ${c.instagram || ''}`).includes(term)).sort((a, b) => `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`)); }, [customers, search]); const selectedCustomer = customers.find(c => c.id === selectedId); const selectedSales = selectedCustomer ? [...(salesByCustomer[selectedCustomer.id] || [])].sort((a, b) => b.createdAt - a.createdAt) : []; const customerTotal = (id) => (salesByCustomer[id] || []).reduce((sum, sale) => sum + (sale.valor || 0), 0); const runTask = async (task, successMessage) => { if (!store) return; setIsWorking(true); setMessage(''); try { const result = await task(); setMessage(typeof successMessage === 'function' ? successMessage(result) : successMessage); } catch (e) { console.error("Error updating customers: ", e); setMessage('Não foi possível concluir a operação.'); } finally { setIsWorking(false); } }; const handleMigrate = () => runTask(() => store.customers.migrate(customers, everySale), 'Vendas antigas vinculadas aos clientes.'); const handleMerge = async () => { const { kept, removed } = pendingMerge; setPendingMerge(null); if (selectedId === removed.id) setSelectedId(kept.id); await runTask(() => store.customers.merge(kept, removed, everySale), `${removed.firstName} ${removed.lastName} foi unido a ${kept.firstName} ${kept.lastName}.`); }; const handleIgnore = ({ a, b }) => runTask(() => store.customers.markNotDuplicate(a, b), 'Par marcado como pessoas diferentes.'); const handleSelectCustomer = (id) => { setSelectedId(id); setSelectedSaleIds([]); setSplitForm({ firstName: '', lastName: '', instagram: '' }); }; const toggleSale = (id) => setSelectedSaleIds(prev => prev.includes(id) ? prev.filter(saleId => saleId !== id) : [...prev, id]); const handleSplit = async (e) => { e.preventDefault(); if (!splitForm.firstName.trim() || !splitForm.lastName.trim() || selectedSaleIds.length === 0) return; const person = { firstName: splitForm.firstName.trim(), lastName: splitForm.lastName.trim(), instagram: normalizeInstagram(splitForm.instagram) }; await runTask(() => store.customers.split(selectedCustomer, person, selectedSales.filter(sale => selectedSaleIds.includes(sale.id)), customers), (target) => `${selectedSaleIds.length} venda(s) movida(s) para ${target.firstName} ${target.lastName}.`); handleSelectCustomer(selectedId); }; return (<div className="grid grid-cols-1 lg:grid-cols-2 gap-8"><div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-6">{unmigratedCount > 0 && (<div className="bg-yellow-900/40 border border-yellow-600 p-4 rounded-lg space-y-3"><p className="text-sm">{unmigratedCount} venda(s) ainda não estão vinculadas a um cliente.</p><button onClick={handleMigrate} disabled={isWorking} className="w-full bg-yellow-500 text-gray-900 p-2 rounded-lg font-bold disabled:bg-gray-500">{isWorking ? 'Migrando...' : 'Migrar Vendas Antigas'}</button></div>)}<h2 className="text-2xl font-bold flex items-center gap-3"><Merge /> Possíveis Duplicados</h2>{message && <p className="text-sm text-yellow-400">{message}</p>}{candidates.length === 0 ? <p className="text-gray-400 text-center py-8">Nenhum duplicado encontrado.</p> : <ul className="space-y-3 max-h-[32rem] overflow-y-auto pr-2">{candidates.map(candidate => (<li key={`${candidate.a.id}|${candidate.b.id}`} className="bg-gray-700/50 p-3 rounded-lg space-y-2"><p className="text-xs uppercase tracking-wide text-yellow-400">{candidate.reason}</p>{[candidate.a, candidate.b].map(c => <p key={c.id} className="text-sm"><span className="font-semibold">{c.firstName} {c.lastName}</span> <span className="text-gray-400">{c.instagram} · {(salesByCustomer[c.id] || []).length} venda(s) · R$ {customerTotal(c.id).toFixed(2)}</span></p>)}<div className="flex flex-wrap gap-2 pt-1"><button onClick={() => setPendingMerge({ kept: candidate.a, removed: candidate.b })} disabled={isWorking} className="bg-blue-600 px-3 py-1 rounded-lg text-sm font-bold">Manter {candidate.a.firstName}</button><button onClick={() => setPendingMerge({ kept: candidate.b, removed: candidate.a })} disabled={isWorking} className="bg-blue-600 px-3 py-1 rounded-lg text-sm font-bold">Manter {candidate.b.firstName}</button><button onClick={() => handleIgnore(candidate)} disabled={isWorking} className="bg-gray-600 px-3 py-1 rounded-lg text-sm font-bold">Não são a mesma pessoa</button></div></li>))}</ul>}</div><div className="bg-gray-800 p-6 rounded-xl shadow-2xl flex flex-col gap-4"><h2 className="text-2xl font-bold flex items-center gap-3"><Users /> Clientes</h2><input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Buscar por nome ou Instagram" className="w-full bg-gray-700 p-3 rounded-lg" /><ul className="space-y-2 overflow-y-auto max-h-60 pr-2">{filteredCustomers.map(c => <li key={c.id}><button onClick={() => handleSelectCustomer(c.id)} className={`w-full flex justify-between items-center p-3 rounded-lg text-left ${c.id === selectedId ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700/50 hover:bg-gray-600'}`}><span>{c.firstName} {c.lastName} <span className="text-sm opacity-70">{c.instagram}</span></span><span className="text-sm font-semibold">{(salesByCustomer[c.id] || []).length}</span></button></li>)}</ul>{selectedCustomer && (<div className="border-t border-gray-700 pt-4 space-y-3"><p className="font-semibold">{selectedCustomer.firstName} {selectedCustomer.lastName} · R$ {customerTotal(selectedCustomer.id).toFixed(2)}</p>{selectedSales.length === 0 ? <p className="text-sm text-gray-400">Nenhuma venda vinculada.</p> : <ul className="space-y-2 max-h-48 overflow-y-auto pr-2">{selectedSales.map(sale => <li key={sale.id}><label className="flex justify-between items-center bg-gray-700/50 p-2 rounded-lg text-sm cursor-pointer"><span className="flex items-center gap-2"><input type="checkbox" checked={selectedSaleIds.includes(sale.id)} onChange={() => toggleSale(sale.id)} />{formatDate(sale.createdAt)}</span><span className="font-semibold text-green-400">R$ {sale.valor.toFixed(2)}</span></label></li>)}</ul>}{selectedSaleIds.length > 0 && (<form onSubmit={handleSplit} className="space-y-2"><p className="text-sm text-gray-400">Mover {selectedSaleIds.length} venda(s) para outro cliente. Se já existir um cliente com este nome e Instagram, as vendas vão para ele:</p><input value={splitForm.firstName} onChange={(e) => setSplitForm({ ...splitForm, firstName: e.target.value })} placeholder="Nome" className="w-full bg-gray-700 p-2 rounded-lg" required /><input value={splitForm.lastName} onChange={(e) => setSplitForm({ ...splitForm, lastName: e.target.value })} placeholder="Sobrenome" className="w-full bg-gray-700 p-2 rounded-lg" required /><input value={splitForm.instagram} onChange={(e) => setSplitForm({ ...splitForm, instagram: e.target.value })} placeholder="@instagram (opcional)" className="w-full bg-gray-700 p-2 rounded-lg" /><button type="submit" disabled={isWorking} className="w-full bg-blue-600 p-2 rounded-lg font-bold flex items-center justify-center gap-2 disabled:bg-gray-500"><Split size={16} /> Separar Vendas</button></form>)}</div>)}</div>{pendingMerge && <ConfirmModal title="Unir Clientes" message={`Mover todas as vendas de ${pendingMerge.removed.firstName} ${pendingMerge.removed.lastName} para ${pendingMerge.kept.firstName} ${pendingMerge.kept.lastName}?`} confirmLabel="Unir" onConfirm={handleMerge} onCancel={() => setPendingMerge(null)} />}</div>); };
+const DataTransfer = ({ allClients, customers, store }) => { const [exportRange, setExportRange] = useState({ from: '', to: '' }); const [preview, setPreview] = useState(null); const [fileName, setFileName] = useState(''); const [isImporting, setIsImporting] = useState(false); const [message, setMessage] = useState(''); const fileInputRef = useRef(null); const salesToExport = useMemo(() => filterSalesByDate(allClients, exportRange.from, exportRange.to), [allClients, exportRange]); const validRows = preview ? preview.rows.filter(row => row.errors.length === 0) : []; const exportName = `vendas${exportRange.from ? `-${exportRange.from}` : ''}${exportRange.to ? `-a-${exportRange.to}` : ''}`; const handleExportCsv = () => downloadFile(`${exportName}.csv`, '\uFEFF' + toCsv([EXPORT_FIELDS, ...salesToExport.map(sale => EXPORT_FIELDS.map(field => toExportRecord(sale)[field]))]), 'text/csv;charset=utf-8'); const handleExportJson = () => downloadFile(`${exportName}.json`, JSON.stringify(salesToExport.map(toExportRecord), null, 2), 'application/json'); const handleFileChange = async (e) => { const file = e.target.files[0]; if (!file) return; setMessage(''); setFileName(file.name); try { setPreview(buildImportPreview(parseCsv(await file.text()), allClients)); } catch (error) { console.error("Error reading import file: ", error); setPreview({ error: 'Não foi possível ler o arquivo.', rows: [] }); } }; const handleResetImport = () => { setPreview(null); setFileName(''); if (fileInputRef.current) fileInputRef.current.value = ''; }; const handleImport = async () => { if (!store || validRows.length === 0) return; setIsImporting(true); try { await store.sales.importMany(validRows.map(row => row.sale), customers); setMessage(`${validRows.length} venda(s) importada(s).`); handleResetImport(); } catch (error) { console.error("Error importing sales: ", error); setMessage('Falha ao importar. Parte das vendas pode ter sido gravada; confira o histórico antes de tentar de novo.'); } finally { setIsImporting(false); } }; return (<div className="flex flex-col gap-8"><div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-4"><h2 className="text-2xl font-bold flex items-center gap-3"><Download /> Exportar Vendas</h2><div className="flex flex-col sm:flex-row gap-4"><label className="flex-1 text-sm text-gray-400">De<input type="date" value={exportRange.from} onChange={(e) => setExportRange({ ...exportRange, from: e.target.value })} className="w-full bg-gray-700 p-3 rounded-lg mt-1 text-white" /></label><label className="flex-1 text-sm text-gray-400">Até<input type="date" value={exportRange.to} onChange={(e) => setExportRange({ ...exportRange, to: e.target.value })} className="w-full bg-gray-700 p-3 rounded-lg mt-1 text-white" /></label></div><p className="text-sm text-gray-400">{salesToExport.length} venda(s) no período.</p><div className="flex flex-col sm:flex-row gap-4"><button onClick={handleExportCsv} disabled={salesToExport.length === 0} className="flex-1 bg-blue-600 p-3 rounded-lg font-bold disabled:bg-gray-500">Baixar CSV</button><button onClick={handleExportJson} disabled={salesToExport.length === 0} className="flex-1 bg-blue-600 p-3 rounded-lg font-bold disabled:bg-gray-500">Baixar JSON</button></div></div><div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-4"><h2 className="text-2xl font-bold flex items-center gap-3"><Upload /> Importar Vendas (CSV)</h2><p className="text-sm text-gray-400">Colunas aceitas: nome, sobrenome (ou cliente/nome completo), instagram, valor, data (AAAA-MM-DD ou DD/MM/AAAA).</p><input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleFileChange} className="w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-gray-700 file:text-white" />{message && <p className="text-sm text-yellow-400">{message}</p>}{preview && (preview.error ? <p className="text-red-500 text-sm">{preview.error}</p> : (<div className="space-y-4"><p className="text-sm">{fileName}: <span className="text-green-400">{validRows.length} válida(s)</span> · <span className="text-red-400">{preview.rows.length - validRows.length} com erro</span></p><div className="overflow-x-auto max-h-96 overflow-y-auto"><table className="w-full text-sm text-left"><thead className="text-gray-400"><tr><th className="p-2">Linha</th><th className="p-2">Cliente</th><th className="p-2">Instagram</th><th className="p-2">Valor</th><th className="p-2">Data</th><th className="p-2">Status</th></tr></thead><tbody>{preview.rows.map(row => (<tr key={row.line} className={`border-t border-gray-700 ${row.errors.length ? 'bg-red-900/30' : ''}`}><td className="p-2">{row.line}</td><td className="p-2">{row.sale.firstName} {row.sale.lastName}</td><td className="p-2">{row.sale.instagram}</td><td className="p-2">{Number.isFinite(row.sale.valor) ? `R$ ${row.sale.valor.toFixed(2)}` : '—'}</td><td className="p-2">{row.sale.createdAt ? formatDate(row.sale.createdAt) : '—'}</td><td className="p-2">{row.errors.length ? <span className="text-red-400">{row.errors.join('; ')}</span> : <span className="text-green-400">OK</span>}</td></tr>))}</tbody></table></div><div className="flex flex-col sm:flex-row gap-4"><button onClick={handleResetImport} className="flex-1 bg-gray-600 p-3 rounded-lg font-bold">Cancelar</button><button onClick={handleImport} disabled={isImporting || validRows.length === 0} className="flex-1 bg-green-600 p-3 rounded-lg font-bold disabled:bg-gray-500">{isImporting ? 'Importando...' : `Importar ${validRows.length} venda(s)`}</button></div></div>))}</div></div>); };
+const ReportsPanel = ({ allClients, customers }) => { const [range, setRange] = useState({ from: '', to: '' }); const [granularity, setGranularity] = useState('week'); const [search, setSearch] = useState(''); const [timelineKey, setTimelineKey] = useState(null); const customersById = useMemo(() => Object.fromEntries(customers.map(c => [c.id, c])), [customers]); const personOf = (sale) => customersById[sale.customerId] || sale; const salesInRange = useMemo(() => filterSalesByDate(allClients, range.from, range.to), [allClients, range]); const summary = useMemo(() => summarizeSales(salesInRange, allClients), [salesInRange, allClients]); const periods = useMemo(() => groupRevenue(salesInRange, granularity), [salesInRange, granularity]); const history = useMemo(() => { const term = normalizeName(search); return salesInRange.filter(sale => { const person = customersById[sale.customerId] || sale; return !term || normalizeName(`${person.firstName} ${person.lastName} ${person.instagram || ''}`).includes(term); }).reverse(); }, [salesInRange, search, customersById]); const timeline = useMemo(() => { if (!timelineKey) return []; let runningTotal = 0; return allClients.filter(sale => customerKey(sale) === timelineKey).sort((a, b) => a.createdAt - b.createdAt).map(sale => ({ ...sale, runningTotal: (runningTotal += sale.valor || 0) })); }, [allClients, timelineKey]); const timelinePerson = timeline.length ? personOf(timeline[0]) : null; const stats = [['Faturamento', `R$ ${summary.revenue.toFixed(2)}`], ['Vendas', summary.count], ['Ticket Médio', `R$ ${summary.averageTicket.toFixed(2)}`], ['Clientes Novos', summary.newCustomers], ['Clientes Recorrentes', summary.returningCustomers]]; return (<div className="flex flex-col gap-8"><div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-6"><div className="flex flex-col sm:flex-row gap-4"><label className="flex-1 text-sm text-gray-400">De<input type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} className="w-full bg-gray-700 p-3 rounded-lg mt-1 text-white" /></label><label className="flex-1 text-sm text-gray-400">Até<input type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} className="w-full bg-gray-700 p-3 rounded-lg mt-1 text-white" /></label></div><div className="grid grid-cols-2 sm:grid-cols-5 gap-4">{stats.map(([label, value]) => <div key={label} role="group" aria-label={label} className="bg-gray-700/50 p-4 rounded-lg text-center"><p className="text-xs uppercase tracking-wide text-gray-400">{label}</p><p className="text-xl font-bold text-yellow-400 mt-1">{value}</p></div>)}</div></div><div className="bg-gray-800 p-6 rounded-xl shadow-2xl"><div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6"><h2 className="text-2xl font-bold flex items-center gap-3"><LineChart /> Faturamento</h2><div className="flex gap-2">{Object.entries(GRANULARITIES).map(([key, { label }]) => <button key={key} onClick={() => setGranularity(key)} className={`px-3 py-1 rounded-lg text-sm font-semibold ${granularity === key ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 hover:bg-gray-600'}`}>{label}</button>)}</div></div>{periods.length === 0 ? <p className="text-gray-400 text-center py-8">Nenhuma venda no período.</p> : <RevenueChart periods={periods} />}</div><div className="grid grid-cols-1 lg:grid-cols-2 gap-8"><div className="bg-gray-800 p-6 rounded-xl shadow-2xl flex flex-col gap-4"><h2 className="text-2xl font-bold">Histórico de Vendas</h2><div className="relative"><Search size={18} className="absolute left-3 top-3.5 text-gray-400" /><input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Buscar por nome ou Instagram" className="w-full bg-gray-700 p-3 pl-10 rounded-lg" /></div>{history.length === 0 ? <p className="text-gray-400 text-center py-8">Nenhuma venda encontrada.</p> : <ul className="space-y-2 overflow-y-auto max-h-96 pr-2">{history.map(sale => { const person = personOf(sale); return (<li key={sale.id}><button onClick={() => setTimelineKey(customerKey(sale))} className={`w-full flex justify-between items-center p-3 rounded-lg text-left ${customerKey(sale) === timelineKey ? 'bg-gray-600' : 'bg-gray-700/50 hover:bg-gray-600'}`}><span>{person.firstName} {person.lastName} <span className="text-sm text-gray-400">{formatDate(sale.createdAt)}</span></span><span className="font-semibold text-green-400">R$ {sale.valor.toFixed(2)}</span></button></li>); })}</ul>}</div><div className="bg-gray-800 p-6 rounded-xl shadow-2xl flex flex-col gap-4"><h2 className="text-2xl font-bold">Linha do Tempo do Cliente</h2>{!timelinePerson ? <p className="text-gray-400 text-center py-8">Selecione uma venda no histórico para ver as compras do cliente.</p> : (<><p className="font-semibold text-yellow-400">{timelinePerson.firstName} {timelinePerson.lastName} <span className="text-sm text-gray-400">{timelinePerson.instagram}</span></p><ol className="relative border-l border-gray-600 ml-2 space-y-4 overflow-y-auto max-h-96">{timeline.map((sale, index) => <li key={sale.id} className="ml-4"><span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-yellow-400"></span><p className="text-sm text-gray-400">{formatDate(sale.createdAt)} · {index + 1}ª compra</p><p><span className="font-semibold text-green-400">R$ {sale.valor.toFixed(2)}</span> <span className="text-sm text-gray-400">· total R$ {sale.runningTotal.toFixed(2)}</span></p></li>)}</ol></>)}</div></div></div>); };
+const RevenueChart = ({ periods }) => { const max = Math.max(...periods.map(p => p.total), 1); return (<div className="overflow-x-auto"><div className="flex items-end gap-1 h-56 w-full" style={{ minWidth: `${periods.length * 2.5}rem` }}>{periods.map(period => (<div key={period.key} className="flex-1 flex flex-col items-center justify-end h-full min-w-[2rem]" title={`${period.label}: R$ ${period.total.toFixed(2)} (${period.count} vendas)`}><div className="w-full bg-yellow-500 hover:bg-yellow-400 rounded-t" style={{ height: `${(period.total / max) * 100}%` }}></div><span className="text-[10px] text-gray-400 mt-1 whitespace-nowrap">{period.label}</span></div>))}</div></div>); };
+const SeasonManagement = ({ allClients, customers, seasons, archiveSize, store }) => { const [formState, setFormState] = useState({ name: '', startDate: '', endDate: '' }); const [formError, setFormError] = useState(''); const [isSubmitting, setIsSubmitting] = useState(false); const [showCloseConfirm, setShowCloseConfirm] = useState(false); const activeSeason = seasons.find(season => season.status === 'active'); const pastSeasons = useMemo(() => seasons.filter(season => season.status === 'closed').sort((a, b) => b.endDate - a.endDate), [seasons]); const activeRanking = useMemo(() => activeSeason ? rankClients(salesInSeason(allClients, activeSeason), Object.fromEntries(customers.map(c => [c.id, c]))).slice(0, archiveSize) : [], [allClients, customers, activeSeason, archiveSize]); const handleFormChange = (e) => { const { name, value } = e.target; setFormState(prev => ({ ...prev, [name]: value })); setFormError(''); }; const handleCreateSeason = async (e) => { e.preventDefault(); const { name, startDate, endDate } = formState; if (!name.trim() || !startDate || !endDate || !store) return; const start = new Date(`${startDate}T00:00:00`); const end = new Date(`${endDate}T23:59:59.999`); const dateError = seasonDateError(start, end, seasons, new Date()); if (dateError) { setFormError(dateError); return; } setIsSubmitting(true); try { await store.seasons.create({ name: name.trim(), startDate: start, endDate: end }); setFormState({ name: '', startDate: '', endDate: '' }); } catch (error) { console.error("Error creating season: ", error); setFormError('Não foi possível criar a temporada.'); } finally { setIsSubmitting(false); } }; const handleCloseSeason = async () => { if (!store || !activeSeason) return; setShowCloseConfirm(false); try { await store.seasons.close(activeSeason, activeRanking); } catch (e) { console.error("Error closing season: ", e); } }; return (<div className="grid grid-cols-1 lg:grid-cols-2 gap-8"><div className="bg-gray-800 p-6 rounded-xl shadow-2xl">{activeSeason ? (<div className="space-y-4"><h2 className="text-2xl font-bold">Temporada Atual</h2><div className="bg-gray-700/50 p-4 rounded-lg"><p className="font-semibold text-lg text-yellow-400">{activeSeason.name}</p><p className="text-sm text-gray-400">{formatSeasonRange(activeSeason)}</p><p className="text-sm text-gray-400 mt-2">{salesInSeason(allClients, activeSeason).length} vendas · {activeRanking.length} clientes no ranking</p></div><p className="text-sm text-gray-400">Ao encerrar, o Top {archiveSize} final é arquivado e a temporada passa para o histórico. Nenhuma venda é apagada.</p><button onClick={() => setShowCloseConfirm(true)} className="w-full bg-red-600 p-3 rounded-lg font-bold flex items-center justify-center gap-2"><Archive size={18} /> Encerrar Temporada</button></div>) : (<><h2 className="text-2xl font-bold mb-6">Nova Temporada</h2><form onSubmit={handleCreateSeason} className="space-y-4"><input name="name" placeholder="Nome (ex: Outubro 2026)" value={formState.name} onChange={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg" required /><label className="block text-sm text-gray-400">Início<input name="startDate" type="date" value={formState.startDate} onChange={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg mt-1 text-white" required /></label><label className="block text-sm text-gray-400">Fim<input name="endDate" type="date" value={formState.endDate} onChange={handleFormChange} className="w-full bg-gray-700 p-3 rounded-lg mt-1 text-white" required /></label>{formError && <p className="text-red-500 text-sm">{formError}</p>}<button type="submit" className="w-full bg-green-600 p-3 rounded-lg font-bold" disabled={isSubmitting}>{isSubmitting ? 'Criando...' : 'Iniciar Temporada'}</button></form></>)}</div><div className="bg-gray-800 p-6 rounded-xl shadow-2xl flex flex-col"><h2 className="text-2xl font-bold mb-6">Temporadas Encerradas</h2><div className="flex-grow overflow-y-auto max-h-96 pr-2">{pastSeasons.length === 0 ? <p className="text-gray-400 text-center py-8">Nenhuma temporada encerrada.</p> : <ul className="space-y-3">{pastSeasons.map(season => <li key={season.id} className="bg-gray-700/50 p-3 rounded-lg"><div className="flex justify-between items-center"><span className="font-semibold">{season.name}</span><span className="text-sm text-gray-400">{formatSeasonRange(season)}</span></div>{season.topClients?.length > 0 && <p className="text-sm text-gray-400 mt-1">🏆 {season.topClients[0].firstName} {season.topClients[0].lastName} · R$ {season.topClients[0].totalValor.toFixed(2)}</p>}</li>)}</ul>}</div></div>{showCloseConfirm && activeSeason && <ConfirmModal title="Encerrar Temporada" message={`Encerrar "${activeSeason.name}" e arquivar o Top ${archiveSize} atual?`} confirmLabel="Encerrar" onConfirm={handleCloseSeason} onCancel={() => setShowCloseConfirm(false)} />}</div>); };
+const NoticeManagement = ({ store, onUndoable }) => { const [notices, setNotices] = useState([]); const [legacy, setLegacy] = useState(null); const [editing, setEditing] = useState(null); const [isLoading, setIsLoading] = useState(true); const [error, setError] = useState(''); useEffect(() => { if (!store) { setIsLoading(false); return; } const unsubscribers = [store.notices.subscribe((docs) => { setNotices(docs); setIsLoading(false); }, (e) => { console.error("Error fetching notices: ", e); setIsLoading(false); }), store.notices.subscribeLegacy(setLegacy, (e) => console.error("Error fetching legacy notice: ", e))]; return () => unsubscribers.forEach(unsub => unsub()); }, [store]); const sortedNotices = useMemo(() => sortNotices(notices), [notices]); const now = new Date(); const handleSave = async (fields) => { setError(''); try { await store.notices.save(fields, editing.notice); setEditing(null); } catch (e) { console.error("Error saving notice: ", e); setError('Não foi possível salvar o aviso.'); } }; const handleToggle = async (notice) => { setError(''); try { await store.notices.save({ isActive: !notice.isActive }, notice); } catch (e) { console.error("Error toggling notice: ", e); setError('Não foi possível alterar o aviso.'); } }; const handleDelete = async (notice) => { setError(''); try { onUndoable(`Aviso "${notice.title || 'sem título'}" excluído.`, await store.notices.remove(notice)); } catch (e) { console.error("Error deleting notice: ", e); setError('Não foi possível excluir o aviso.'); } }; const handleMigrate = async () => { setError(''); try { await store.notices.migrateLegacy(legacy); } catch (e) { console.error("Error migrating notice: ", e); setError('Não foi possível migrar o aviso antigo.'); } }; if (isLoading) return <LoadingSpinner />; if (editing) return <NoticeEditor notice={editing.notice} error={error} onSave={handleSave} onCancel={() => { setEditing(null); setError(''); }} />; return (<div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-6"><div className="flex justify-between items-center gap-4"><h2 className="text-2xl font-bold flex items-center gap-3"><Megaphone /> Avisos</h2><button onClick={() => setEditing({ notice: null })} className="bg-blue-600 px-4 py-2 rounded-lg font-bold flex items-center gap-2"><Plus size={18} /> Novo Aviso</button></div>{legacy && <div className="bg-yellow-900/40 border border-yellow-600 p-3 rounded-lg text-sm flex flex-col sm:flex-row sm:items-center justify-between gap-3"><span>Há um aviso salvo no formato antigo, que não aparece mais no site.</span><button onClick={handleMigrate} className="bg-yellow-500 text-gray-900 px-3 py-1 rounded-lg font-bold">Migrar Aviso Antigo</button></div>}{error && <p className="text-red-400 text-sm">{error}</p>}{sortedNotices.length === 0 ? <p className="text-gray-400 text-center py-8">Nenhum aviso cadastrado.</p> : <ul className="space-y-3">{sortedNotices.map(notice => { const status = noticeStatus(notice, now); return (<li key={notice.id} className="bg-gray-700/50 p-3 rounded-lg flex flex-col sm:flex-row sm:items-center justify-between gap-3"><div><p className="font-semibold flex items-center gap-2">{notice.title || 'Sem título'} <span className={`text-xs px-2 py-0.5 rounded-full ${status.className}`}>{status.label}</span></p><p className="text-xs text-gray-400">{NOTICE_MODE_LABELS[notice.displayMode]} · Prioridade {notice.priority} · {formatNoticeSchedule(notice)}</p></div><div className="flex items-center gap-3"><button onClick={() => handleToggle(notice)} className={`px-3 py-1 rounded-lg text-sm font-bold ${notice.isActive ? 'bg-red-600' : 'bg-green-600'}`}>{notice.isActive ? 'Desativar' : 'Ativar'}</button><button onClick={() => setEditing({ notice })} className="text-gray-400 hover:text-blue-400" title="Editar aviso"><Edit size={16} /></button><button onClick={() => handleDelete(notice)} className="text-gray-400 hover:text-red-500" title="Excluir aviso"><Trash2 size={16} /></button></div></li>); })}</ul>}</div>); };
+const NoticeEditor = ({ notice, error, onSave, onCancel }) => { const initial = notice || NOTICE_DEFAULTS; const [form, setForm] = useState({ title: initial.title, htmlContent: initial.htmlContent, displayMode: initial.displayMode, priority: String(initial.priority), startAt: toDateTimeInput(initial.startAt), endAt: toDateTimeInput(initial.endAt), isActive: notice ? initial.isActive : true }); const [formError, setFormError] = useState(''); const [isSaving, setIsSaving] = useState(false); const handleChange = (e) => { const { name, value, type, checked } = e.target; setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value })); }; const handleSubmit = async (e) => { e.preventDefault(); const startAt = form.startAt ? new Date(form.startAt) : null; const endAt = form.endAt ? new Date(form.endAt) : null; if (!form.htmlContent.trim()) { setFormError('Escreva o conteúdo do aviso.'); return; } if (startAt && endAt && endAt <= startAt) { setFormError('O fim precisa ser depois do início.'); return; } setFormError(''); setIsSaving(true); try { await onSave({ title: form.title.trim(), htmlContent: sanitizeHtml(form.htmlContent), displayMode: form.displayMode, priority: parseInt(form.priority, 10) || 0, startAt, endAt, isActive: form.isActive }); } finally { setIsSaving(false); } }; const preview = { ...form, id: 'preview' }; return (<form onSubmit={handleSubmit} className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-4"><div className="flex items-center gap-3"><button type="button" onClick={onCancel} className="text-gray-400 hover:text-white" title="Voltar"><ArrowLeft /></button><h2 className="text-2xl font-bold">{notice ? 'Editar Aviso' : 'Novo Aviso'}</h2></div><input name="title" value={form.title} onChange={handleChange} placeholder="Título (opcional)" className="w-full bg-gray-700 p-3 rounded-lg" /><textarea name="htmlContent" value={form.htmlContent} onChange={handleChange} className="w-full bg-gray-900 text-white p-4 rounded-lg min-h-[150px] border border-gray-600 focus:ring-2 focus:ring-yellow-500" placeholder="Conteúdo do aviso. Pode usar tags HTML como <b>, <i>, <a> e <img>; o resto é removido." aria-label="Conteúdo" /><div className="grid grid-cols-1 sm:grid-cols-2 gap-4"><label className="text-sm text-gray-400">Exibição<select name="displayMode" value={form.displayMode} onChange={handleChange} className="mt-1 w-full bg-gray-700 text-white p-2 rounded-lg"><option value="modal">Janela (ao abrir o site)</option><option value="banner">Faixa acima do menu</option></select></label><label className="text-sm text-gray-400">Prioridade<input name="priority" type="number" value={form.priority} onChange={handleChange} className="mt-1 w-full bg-gray-700 text-white p-2 rounded-lg" /></label><label className="text-sm text-gray-400">Início<input name="startAt" type="datetime-local" value={form.startAt} onChange={handleChange} className="mt-1 w-full bg-gray-700 text-white p-2 rounded-lg" /></label><label className="text-sm text-gray-400">Fim<input name="endAt" type="datetime-local" value={form.endAt} onChange={handleChange} className="mt-1 w-full bg-gray-700 text-white p-2 rounded-lg" /></label></div><p className="text-xs text-gray-500">Sem início ou fim, o aviso fica no ar enquanto estiver ativo. Avisos com prioridade maior aparecem primeiro.</p><label className="flex items-center gap-2"><input name="isActive" type="checkbox" checked={form.isActive} onChange={handleChange} /> Ativo</label><div><p className="text-sm text-gray-400 mb-2">Pré-visualização</p>{form.displayMode === 'banner' ? <NoticeBanner notice={preview} /> : <div className="bg-gray-900 rounded-xl border border-yellow-500 p-8"><NoticeBody notice={preview} /></div>}</div>{(formError || error) && <p className="text-red-400 text-sm">{formError || error}</p>}<button type="submit" disabled={isSaving} className="w-full bg-blue-600 p-3 rounded-lg font-bold disabled:bg-gray-500">{isSaving ? 'Salvando...' : 'Salvar Aviso'}</button></form>); };
+const RankingSettings = ({ settings, customers, store }) => { const toInput = (value) => (value == null ? '' : String(value)); const [form, setForm] = useState(() => ({ tiers: Object.fromEntries(TIERS.map(tier => [tier.key, toInput(settings.tiers[tier.key])])), topSize: String(settings.topSize), publicValuePositions: String(settings.publicValuePositions), currency: { ...settings.currency }, privacy: { ...settings.privacy } })); const [search, setSearch] = useState(''); const [message, setMessage] = useState(''); const [isSaving, setIsSaving] = useState(false); const setField = (field, value) => setForm(prev => ({ ...prev, [field]: value })); const privacyCustomers = useMemo(() => { const query = normalizeName(search); return [...customers].filter(customer => form.privacy[customer.id] || (query && normalizeName(`${customer.firstName} ${customer.lastName} ${customer.instagram || ''}`).includes(query))).sort((a, b) => `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`)).slice(0, 30); }, [customers, form.privacy, search]); const handleSubmit = async (e) => { e.preventDefault(); const topSize = Number(form.topSize); const publicValuePositions = Number(form.publicValuePositions); const thresholds = Object.fromEntries(TIERS.map(tier => [tier.key, form.tiers[tier.key] === '' ? null : parseValor(form.tiers[tier.key])])); if (!Number.isInteger(topSize) || topSize < 1 || topSize > 100) { setMessage('O ranking precisa ter de 1 a 100 posições.'); return; } if (!Number.isInteger(publicValuePositions) || publicValuePositions < 0 || publicValuePositions > topSize) { setMessage('As posições com valor visível vão de 0 ao tamanho do ranking.'); return; } if (!form.currency.symbol.trim() || form.currency.decimalSeparator === form.currency.thousandsSeparator) { setMessage('Informe o símbolo da moeda e separadores diferentes para decimais e milhares.'); return; } if (Object.values(thresholds).some(value => Number.isNaN(value) || value < 0)) { setMessage('Use valores positivos nos níveis ou deixe o campo vazio.'); return; } const set = [...TIERS].reverse().map(tier => thresholds[tier.key]).filter(value => value != null); if (set.some((value, index) => index > 0 && value <= set[index - 1])) { setMessage('Bronze < Prata < Ouro: cada nível precisa de um valor maior que o anterior.'); return; } setIsSaving(true); setMessage(''); try { await store.settings.save({ tiers: thresholds, topSize, publicValuePositions, currency: { ...form.currency, symbol: form.currency.symbol.trim() }, privacy: form.privacy }, settings); setMessage('Configurações salvas. O ranking público é atualizado em seguida.'); } catch (err) { console.error("Error saving ranking settings: ", err); setMessage('Não foi possível salvar as configurações.'); } finally { setIsSaving(false); } }; const setPrivacy = (customerId, value) => { const { [customerId]: removed, ...rest } = form.privacy; setField('privacy', value === 'public' ? rest : { ...rest, [customerId]: value }); }; return (<form onSubmit={handleSubmit} className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-8"><div className="space-y-4"><div><h2 className="text-2xl font-bold flex items-center gap-3"><Crown /> Ranking Público</h2><p className="text-sm text-gray-400 mt-1">O site público só recebe o que estas configurações permitem.</p></div><div className="grid grid-cols-1 sm:grid-cols-2 gap-4"><label className="text-sm text-gray-400">Posições no ranking<input type="number" min="1" max="100" value={form.topSize} onChange={(e) => setField('topSize', e.target.value)} className="mt-1 w-full bg-gray-700 text-white p-2 rounded-lg" /></label><label className="text-sm text-gray-400">Posições com valor visível<input type="number" min="0" value={form.publicValuePositions} onChange={(e) => setField('publicValuePositions', e.target.value)} className="mt-1 w-full bg-gray-700 text-white p-2 rounded-lg" /></label></div></div><div className="space-y-4"><h3 className="text-xl font-bold">Moeda</h3><div className="grid grid-cols-1 sm:grid-cols-3 gap-4"><label className="text-sm text-gray-400">Símbolo<input value={form.currency.symbol} onChange={(e) => setField('currency', { ...form.currency, symbol: e.target.value })} className="mt-1 w-full bg-gray-700 text-white p-2 rounded-lg" /></label><label className="text-sm text-gray-400">Separador decimal<select value={form.currency.decimalSeparator} onChange={(e) => setField('currency', { ...form.currency, decimalSeparator: e.target.value })} className="mt-1 w-full bg-gray-700 text-white p-2 rounded-lg"><option value=",">Vírgula (,)</option><option value=".">Ponto (.)</option></select></label><label className="text-sm text-gray-400">Separador de milhar<select value={form.currency.thousandsSeparator} onChange={(e) => setField('currency', { ...form.currency, thousandsSeparator: e.target.value })} className="mt-1 w-full bg-gray-700 text-white p-2 rounded-lg"><option value="">Nenhum</option><option value=".">Ponto (.)</option><option value=",">Vírgula (,)</option><option value=" ">Espaço</option></select></label></div><p className="text-sm text-gray-400">Exemplo: <span className="text-green-400">{formatMoney(1234.5, form.currency)}</span></p></div><div className="space-y-4"><div><h3 className="text-xl font-bold flex items-center gap-2"><Medal size={20} /> Níveis de Clientes</h3><p className="text-sm text-gray-400 mt-1">Total gasto (de todos os tempos) a partir do qual o cliente recebe cada selo no ranking e no perfil. Deixe vazio para não usar o nível.</p></div><div className="grid grid-cols-1 sm:grid-cols-3 gap-4">{[...TIERS].reverse().map(tier => <label key={tier.key} className="text-sm text-gray-400 space-y-1"><span className="flex"><TierBadge tier={tier} /></span><input type="text" inputMode="decimal" value={form.tiers[tier.key]} onChange={(e) => setField('tiers', { ...form.tiers, [tier.key]: e.target.value })} placeholder="R$" aria-label={`Valor mínimo ${tier.label}`} className="w-full bg-gray-700 text-white p-2 rounded-lg" /></label>)}</div></div><div className="space-y-4"><div><h3 className="text-xl font-bold flex items-center gap-2"><Lock size={20} /> Privacidade</h3><p className="text-sm text-gray-400 mt-1">Clientes anônimos aparecem como "Cliente Anônimo", sem Instagram nem perfil. Clientes ocultos não aparecem no ranking público.</p></div><div className="relative"><Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={16} /><input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Buscar cliente" className="w-full bg-gray-700 p-2 pl-9 rounded-lg" /></div>{privacyCustomers.length === 0 ? <p className="text-sm text-gray-500">Todos os clientes aparecem normalmente. Busque um cliente para mudar.</p> : <ul className="space-y-2">{privacyCustomers.map(customer => <li key={customer.id} className="flex items-center justify-between gap-3 bg-gray-700/50 p-2 rounded-lg"><span>{customer.firstName} {customer.lastName} <span className="text-sm text-gray-400">{customer.instagram}</span></span><select value={form.privacy[customer.id] || 'public'} onChange={(e) => setPrivacy(customer.id, e.target.value)} aria-label={`Privacidade de ${customer.firstName} ${customer.lastName}`} className="bg-gray-700 p-1 rounded-lg text-sm"><option value="public">Público</option><option value="anonymous">Anônimo</option><option value="hidden">Oculto</option></select></li>)}</ul>}</div>{message && <p className="text-sm text-yellow-400">{message}</p>}<button type="submit" disabled={isSaving} className="w-full bg-blue-600 p-3 rounded-lg font-bold disabled:bg-gray-500">{isSaving ? 'Salvando...' : 'Salvar Configurações'}</button></form>); };
+const WhatsappManagement = ({ store, onUndoable }) => { const [numbers, setNumbers] = useState([]); const [isLoading, setIsLoading] = useState(true); const [newNumber, setNewNumber] = useState(''); const [newLabel, setNewLabel] = useState(''); const [error, setError] = useState(''); useEffect(() => { if (!store) { setIsLoading(false); return; } const unsub = store.whatsapp.subscribe(docs => { setNumbers(docs); setIsLoading(false); }); return () => unsub(); }, [store]); const handleAddNumber = async (e) => { e.preventDefault(); if (!newNumber || !newLabel || !store) return; const sanitizedNumber = newNumber.replace(/\D/g, ''); setError(''); try { await store.whatsapp.add({ number: sanitizedNumber, label: newLabel }); setNewNumber(''); setNewLabel(''); } catch (e) { console.error("Error adding number: ", e); setError('Não foi possível adicionar o número.'); } }; const handleToggle = async (num) => { if(!store) return; setError(''); try { await store.whatsapp.setActive(num, !num.isActive); } catch (e) { console.error("Error toggling number: ", e); setError('Não foi possível alterar o número.'); } }; const handleDelete = async (num) => { if(!store) return; setError(''); try { onUndoable(`Número "${num.label}" removido.`, await store.whatsapp.remove(num)); } catch (e) { console.error("Error deleting number: ", e); setError('Não foi possível remover o número.'); } }; if (isLoading) return <LoadingSpinner />; return (<div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-6"><h2 className="text-2xl font-bold mb-6">Gerenciar Contatos do WhatsApp</h2><form onSubmit={handleAddNumber} className="flex flex-col sm:flex-row gap-4"><input value={newLabel} onChange={e => setNewLabel(e.target.value)} placeholder="Rótulo (ex: Vendas)" className="flex-1 bg-gray-700 p-3 rounded-lg" required /><input value={newNumber} onChange={e => setNewNumber(e.target.value)} placeholder="Número (ex: 5541999998888)" className="flex-1 bg-gray-700 p-3 rounded-lg" required /><button type="submit" className="bg-green-600 p-3 rounded-lg font-bold">Adicionar</button></form>{error && <p className="text-red-500 text-sm">{error}</p>}<ul className="space-y-3">{numbers.length > 0 ? numbers.map(num => (<li key={num.id} className="flex items-center justify-between bg-gray-700/50 p-3 rounded-lg"><div><p className="font-semibold">{num.label}</p><p className="text-sm text-gray-400">+{num.number}</p></div><div className="flex items-center gap-4"><button onClick={() => handleToggle(num)} className={`font-bold text-sm px-3 py-1 rounded-full ${num.isActive ? "bg-green-500" : "bg-gray-500"}`}>{num.isActive ? "Ativo" : "Inativo"}</button><button onClick={() => handleDelete(num)} className="text-gray-400 hover:text-red-500"><Trash2 size={18} /></button></div></li>)) : <p className="text-center text-gray-400">Nenhum número adicionado.</p> }</ul></div>);};
+const AuditLog = ({ store, isOwner }) => { const [entries, setEntries] = useState([]); const [limit, setLimit] = useState(100); const [entityFilter, setEntityFilter] = useState('all'); const [expandedId, setExpandedId] = useState(null); const [isLoading, setIsLoading] = useState(true); const [message, setMessage] = useState(''); useEffect(() => { if (!store) return; const unsub = store.audit.subscribe((docs) => { setEntries(docs); setIsLoading(false); }, (e) => { console.error("Error fetching audit log: ", e); setIsLoading(false); }, limit); return () => unsub(); }, [store, limit]); const filtered = entries.filter(entry => entityFilter === 'all' || entry.entity === entityFilter); const handleRestore = async (entry) => { setMessage(''); try { await store.audit.revert([entry]); setMessage(`Restaurado: ${describeAuditTarget(entry)}.`); } catch (e) { console.error("Error restoring from audit log: ", e); setMessage(e.code === 'audit/conflict' ? e.message : 'Não foi possível restaurar este item.'); } }; if (isLoading) return <LoadingSpinner />; return (<div className="bg-gray-800 p-6 rounded-xl shadow-2xl space-y-6"><div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4"><h2 className="text-2xl font-bold flex items-center gap-3"><History /> Registro de Auditoria</h2><select value={entityFilter} onChange={(e) => setEntityFilter(e.target.value)} className="bg-gray-700 p-2 rounded-lg text-sm" aria-label="Filtrar por tipo"><option value="all">Tudo</option><option value="sale">Vendas</option><option value="customer">Clientes</option><option value="notice">Avisos</option><option value="whatsapp">WhatsApp</option><option value="settings">Configurações</option></select></div>{message && <p className="text-sm text-yellow-400">{message}</p>}{filtered.length === 0 ? <p className="text-gray-400 text-center py-8">Nenhuma alteração registrada.</p> : <ul className="space-y-3">{filtered.map(entry => { const changes = auditChanges(entry); const canRestore = canRestoreEntry(entry, isOwner); return (<li key={entry.id} className="bg-gray-700/50 p-3 rounded-lg"><div className="flex justify-between items-start gap-4"><button onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)} className="text-left flex-grow"><p><span className="font-semibold">{entry.actor?.email || 'Sistema'}</span> {AUDIT_ACTION_LABELS[entry.action] || entry.action} {AUDIT_ENTITY_LABELS[entry.entity]}: <span className="text-yellow-400">{describeAuditTarget(entry)}</span></p><p className="text-xs text-gray-400">{entry.at.toLocaleString('pt-BR')}{AUDIT_SOURCE_LABELS[entry.source] ? ` · ${AUDIT_SOURCE_LABELS[entry.source]}` : ''}</p></button>{canRestore && <button onClick={() => handleRestore(entry)} className="text-gray-400 hover:text-green-400 flex items-center gap-1 text-sm" title="Voltar ao estado anterior a esta alteração"><RotateCcw size={16} /> Restaurar</button>}</div>{expandedId === entry.id && (changes.length === 0 ? <p className="text-sm text-gray-400 mt-2">Sem diferenças.</p> : <table className="w-full text-sm mt-2"><thead className="text-gray-400 text-left"><tr><th className="p-1">Campo</th><th className="p-1">Antes</th><th className="p-1">Depois</th></tr></thead><tbody>{changes.map(change => <tr key={change.field} className="border-t border-gray-600"><td className="p-1 text-gray-400">{change.field}</td><td className="p-1 text-red-300 break-all">{change.before}</td><td className="p-1 text-green-300 break-all">{change.after}</td></tr>)}</tbody></table>)}</li>); })}</ul>}{entries.length >= limit && <button onClick={() => setLimit(limit + 100)} className="w-full bg-gray-700 p-2 rounded-lg text-sm font-bold">Carregar mais</button>}</div>); };
 
 // --- Modals and Spinners ---
-const NoticeModal = ({ content, onClose }) => (<div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4"><div className="bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full border border-yellow-500 relative"><button onClick={onClose} className="absolute top-3 right-3 text-gray-500 hover:text-white"><X size={24} /></button><div className="p-8 prose prose-sm sm:prose-base prose-invert max-w-none notice-content" dangerouslySetInnerHTML={{ __html: content }} /><style>{`.notice-content img {max-width:100%;border-radius:8px;} .notice-content a {color:#fBBF24; text-decoration:underline;}`}</style></div></div>);
+const NoticeBody = ({ notice }) => (<>{notice.title && <h2 className="text-xl font-bold text-yellow-400 mb-2">{notice.title}</h2>}<div className="prose prose-sm sm:prose-base prose-invert max-w-none notice-content" dangerouslySetInnerHTML={{ __html: sanitizeHtml(notice.htmlContent) }} /><style>{`.notice-content img {max-width:100%;border-radius:8px;} .notice-content a {color:#fBBF24; text-decoration:underline;}`}</style></>);
+const NoticeModal = ({ notice, onClose }) => (<div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4"><div role="dialog" aria-label={notice.title || 'Aviso'} className="bg-gray-800 rounded-xl shadow-2xl max-w-2xl w-full border border-yellow-500 relative"><button onClick={onClose} className="absolute top-3 right-3 text-gray-500 hover:text-white" aria-label="Fechar aviso"><X size={24} /></button><div className="p-8"><NoticeBody notice={notice} /></div></div></div>);
+const NoticeBanner = ({ notice, onClose }) => (<div role="region" aria-label={notice.title || 'Aviso'} className="relative bg-yellow-500/10 border border-yellow-500 rounded-lg p-4 pr-10 mb-4">{onClose && <button onClick={onClose} className="absolute top-3 right-3 text-gray-400 hover:text-white" aria-label="Fechar aviso"><X size={18} /></button>}<NoticeBody notice={notice} /></div>);
 const EditClientModal = ({ client, onSave, onCancel }) => { const [formData, setFormData] = useState({ ...client }); const handleSave = async (e) => { e.preventDefault(); const data = { ...formData, valor: parseFloat(formData.valor) }; delete data.id; delete data.createdAt; delete data.totalValor; await onSave(data); }; return (<div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4"><div className="bg-gray-800 p-8 rounded-xl border border-yellow-500 max-w-lg w-full"><h3 className="text-2xl font-bold mb-6">Editar Venda</h3><form onSubmit={handleSave} className="space-y-4"><input value={formData.firstName} onChange={(e) => setFormData({...formData, firstName: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg" required /><input value={formData.lastName} onChange={(e) => setFormData({...formData, lastName: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg" required /><input value={formData.instagram} onChange={(e) => setFormData({...formData, instagram: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg" /><input type="number" step="0.01" value={formData.valor} onChange={(e) => setFormData({...formData, valor: e.target.value})} className="w-full bg-gray-700 p-3 rounded-lg" required /><div className="flex gap-4 pt-4"><button type="button" onClick={onCancel} className="flex-1 bg-gray-600 p-3 rounded-lg font-bold">Cancelar</button><button type="submit" className="flex-1 bg-green-600 p-3 rounded-lg font-bold">Salvar</button></div></form></div></div>); };
-const KeyPromptModal = ({ onConfirm, onCancel }) => { const [inputKey, setInputKey] = useState(''); const [error, setError] = useState(''); const SECRET_KEY = 'H4gT8wNfPzS6jL1xVbK3dZmM7'; const handleConfirm = () => { if (inputKey === SECRET_KEY) onConfirm(); else setError('Chave de segurança incorreta!'); }; return (<div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4"><div className="bg-gray-800 p-8 rounded-xl border border-red-500 max-w-sm text-center"><KeyRound size={40} className="mx-auto text-yellow-400 mb-4" /><h3 className="text-2xl font-bold mb-2">Exclusão de Dados</h3><p className="text-gray-300 mb-6">Insira a chave de segurança.</p><div className="space-y-4"><input type="password" value={inputKey} onChange={(e) => { setInputKey(e.target.value); setError(''); }} className="w-full bg-gray-700 p-3 rounded-lg text-center" />{error && <p className="text-red-500 text-sm">{error}</p>}<div className="flex gap-4"><button onClick={onCancel} className="flex-1 bg-gray-600 p-3 rounded-lg font-bold">Cancelar</button><button onClick={handleConfirm} className="flex-1 bg-red-600 p-3 rounded-lg font-bold">Confirmar</button></div></div></div></div>); };
-const AdminKeyPromptModal = ({ onSuccess, onCancel }) => { const [inputKey, setInputKey] = useState(''); const [error, setError] = useState(''); const ADMIN_KEY = 'aK7pL3sR9jVcBmN5wXyZ2oDqE'; const handleConfirm = () => { if (inputKey === ADMIN_KEY) onSuccess(); else { setError('Chave de acesso incorreta!'); setInputKey(''); } }; return (<div className="fixed inset-0 bg-gray-900 flex flex-col items-center justify-center z-50 p-4 text-center"><ShieldCheck size={60} className="mx-auto text-yellow-400 mb-6" /><h2 className="text-3xl font-bold mb-2">Acesso Restrito</h2><p className="text-gray-400 mb-8 max-w-sm">Para acessar o painel de administração, por favor, insira a chave de acesso.</p><div className="w-full max-w-sm space-y-4"><input type="password" placeholder="Chave de Acesso" value={inputKey} onChange={(e) => { setInputKey(e.target.value); setError(''); }} onKeyDown={(e) => e.key === 'Enter' && handleConfirm()} className="w-full bg-gray-800 p-4 rounded-lg text-center text-lg border border-gray-700 focus:ring-2 focus:ring-yellow-500 outline-none" autoFocus />{error && <p className="text-red-500 text-sm">{error}</p>}<div className="flex flex-col sm:flex-row gap-4"><button onClick={onCancel} className="w-full sm:w-auto flex-1 bg-gray-600 hover:bg-gray-500 p-3 rounded-lg font-bold transition-colors">Voltar ao Ranking</button><button onClick={handleConfirm} className="w-full sm:w-auto flex-1 bg-yellow-500 hover:bg-yellow-600 text-gray-900 p-3 rounded-lg font-bold transition-colors">Desbloquear</button></div></div></div>); };
+const ConfirmModal = ({ title, message, confirmLabel, onConfirm, onCancel }) => (<div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4"><div className="bg-gray-800 p-8 rounded-xl border border-red-500 max-w-sm text-center"><h3 className="text-2xl font-bold mb-2">{title}</h3><p className="text-gray-300 mb-6">{message}</p><div className="flex gap-4"><button onClick={onCancel} className="flex-1 bg-gray-600 p-3 rounded-lg font-bold">Cancelar</button><button onClick={onConfirm} className="flex-1 bg-red-600 p-3 rounded-lg font-bold">{confirmLabel}</button></div></div></div>);
+const ReauthPromptModal = ({ store, onConfirm, onCancel }) => { const [password, setPassword] = useState(''); const [error, setError] = useState(''); const [isChecking, setIsChecking] = useState(false); const handleConfirm = async () => { if (!store || !password) return; setIsChecking(true); try { await store.auth.reauthenticate(password); await onConfirm(); } catch (e) { setError(authErrorMessage(e)); setPassword(''); } finally { setIsChecking(false); } }; return (<div className="fixed inset-0 bg-black/70 flex items-center justify-center z-50 p-4"><div className="bg-gray-800 p-8 rounded-xl border border-red-500 max-w-sm text-center"><KeyRound size={40} className="mx-auto text-yellow-400 mb-4" /><h3 className="text-2xl font-bold mb-2">Exclusão de Dados</h3><p className="text-gray-300 mb-6">Confirme sua senha para mover todo o histórico para a lixeira.</p><div className="space-y-4"><input type="password" placeholder="Senha" value={password} onChange={(e) => { setPassword(e.target.value); setError(''); }} onKeyDown={(e) => e.key === 'Enter' && handleConfirm()} className="w-full bg-gray-700 p-3 rounded-lg text-center" autoFocus />{error && <p className="text-red-500 text-sm">{error}</p>}<div className="flex gap-4"><button onClick={onCancel} className="flex-1 bg-gray-600 p-3 rounded-lg font-bold">Cancelar</button><button onClick={handleConfirm} disabled={isChecking} className="flex-1 bg-red-600 p-3 rounded-lg font-bold disabled:bg-gray-500">{isChecking ? 'Verificando...' : 'Confirmar'}</button></div></div></div></div>); };
+const AdminLoginModal = ({ store, authError, onClearAuthError, onCancel }) => { const [email, setEmail] = useState(''); const [password, setPassword] = useState(''); const [error, setError] = useState(''); const [isSubmitting, setIsSubmitting] = useState(false); const handleConfirm = async (e) => { e.preventDefault(); if (!store || !email || !password) return; setIsSubmitting(true); setError(''); onClearAuthError(); try { await store.auth.signIn(email.trim(), password); } catch (err) { setError(authErrorMessage(err)); setPassword(''); } finally { setIsSubmitting(false); } }; const shownError = error || authError; return (<div className="fixed inset-0 bg-gray-900 flex flex-col items-center justify-center z-50 p-4 text-center"><ShieldCheck size={60} className="mx-auto text-yellow-400 mb-6" /><h2 className="text-3xl font-bold mb-2">Acesso Restrito</h2><p className="text-gray-400 mb-8 max-w-sm">Para acessar o painel de administração, entre com sua conta de administrador.</p><form onSubmit={handleConfirm} className="w-full max-w-sm space-y-4"><input type="email" placeholder="E-mail" value={email} onChange={(e) => { setEmail(e.target.value); setError(''); }} autoComplete="username" className="w-full bg-gray-800 p-4 rounded-lg text-center text-lg border border-gray-700 focus:ring-2 focus:ring-yellow-500 outline-none" autoFocus required /><input type="password" placeholder="Senha" value={password} onChange={(e) => { setPassword(e.target.value); setError(''); }} autoComplete="current-password" className="w-full bg-gray-800 p-4 rounded-lg text-center text-lg border border-gray-700 focus:ring-2 focus:ring-yellow-500 outline-none" required />{shownError && <p className="text-red-500 text-sm">{shownError}</p>}<div className="flex flex-col sm:flex-row gap-4"><button type="button" onClick={onCancel} className="w-full sm:w-auto flex-1 bg-gray-600 hover:bg-gray-500 p-3 rounded-lg font-bold transition-colors">Voltar ao Ranking</button><button type="submit" disabled={isSubmitting} className="w-full sm:w-auto flex-1 bg-yellow-500 hover:bg-yellow-600 text-gray-900 p-3 rounded-lg font-bold transition-colors disabled:bg-gray-500">{isSubmitting ? 'Entrando...' : 'Entrar'}</button></div></form></div>); };
+const UndoToast = ({ message, onUndo, onClose }) => { const onCloseRef = useRef(onClose); onCloseRef.current = onClose; useEffect(() => { const timer = setTimeout(() => onCloseRef.current(), 8000); return () => clearTimeout(timer); }, []); return (<div role="status" className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 bg-gray-700 border border-gray-600 shadow-2xl rounded-lg px-4 py-3 flex items-center gap-4"><span className="text-sm">{message}</span><button onClick={onUndo} className="text-yellow-400 font-bold text-sm hover:text-yellow-300">Desfazer</button><button onClick={onClose} className="text-gray-400 hover:text-white" aria-label="Fechar"><X size={16} /></button></div>); };
 const LoadingSpinner = () => (<div className="flex justify-center items-center py-16"><div className="animate-spin rounded-full h-12 w-12 border-b-2 border-yellow-400"></div></div>);
@@ -1,8 +1,241 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, within, fireEvent, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { createDataStore } from './data';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const sale = (firstName, lastName, valor) => ({ firstName, lastName, instagram: '', valor, createdAt: new Date(2026, 9, 1) });
+
+afterEach(() => jest.restoreAllMocks());
+
+test('shows an empty ranking when there are no sales', async () => {
+  render(<App store={createDataStore({ backend: 'memory' })} />);
+  expect(await screen.findByText(/o ranking ainda está vazio/i)).toBeInTheDocument();
+});
+
+test('ranks customers by total spent and hides values after the top 3', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  await store.sales.importMany([
+    sale('Ana', 'Souza', 100),
+    sale('Ana', 'Souza', 200),
+    sale('Bruno', 'Lima', 250),
+    sale('Carla', 'Dias', 50),
+    sale('Davi', 'Reis', 10)
+  ], []);
+  // Signed-in admins publish the leaderboard the public page reads.
+  await store.auth.signIn('dona@loja.com', 'segredo');
+  render(<App store={store} />);
+
+  const items = await screen.findAllByRole('listitem');
+  expect(items.map(item => within(item).getByText(/souza|lima|dias|reis/i).textContent)).toEqual(['Ana Souza', 'Bruno Lima', 'Carla Dias', 'Davi Reis']);
+  expect(within(items[0]).getByText('R$ 300.00')).toBeInTheDocument();
+  expect(within(items[3]).getByText(/valor privado/i)).toBeInTheDocument();
+  expect(within(items[3]).queryByText(/R\$/)).not.toBeInTheDocument();
+});
+
+test('lets an admin sign in and register a sale', async () => {
+  render(<App store={createDataStore({ backend: 'memory' })} />);
+  await screen.findByText(/o ranking ainda está vazio/i);
+
+  userEvent.click(screen.getByTitle('Painel do Admin'));
+  userEvent.type(screen.getByPlaceholderText('E-mail'), 'dona@loja.com');
+  userEvent.type(screen.getByPlaceholderText('Senha'), 'segredo');
+  userEvent.click(screen.getByRole('button', { name: 'Entrar' }));
+
+  expect(await screen.findByText('Registrar Nova Venda')).toBeInTheDocument();
+  userEvent.type(screen.getByPlaceholderText('Nome'), 'Bia');
+  userEvent.type(screen.getByPlaceholderText('Sobrenome'), 'Lima');
+  userEvent.type(screen.getByPlaceholderText('Valor Pago'), '42.5');
+  userEvent.click(screen.getByRole('button', { name: 'Adicionar Cliente' }));
+  expect(await screen.findByText('R$ 42.50')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: /ranking público/i }));
+  expect(await screen.findByText('Bia Lima')).toBeInTheDocument();
+});
+
+test('reports revenue, average ticket and new vs. returning customers for a date range', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  await store.sales.importMany([
+    { ...sale('Ana', 'Souza', 100), createdAt: new Date(2026, 8, 20) },
+    { ...sale('Ana', 'Souza', 60), createdAt: new Date(2026, 9, 2) },
+    { ...sale('Bruno', 'Lima', 20), createdAt: new Date(2026, 9, 5) }
+  ], []);
+  await store.auth.signIn('dona@loja.com', 'segredo');
+  render(<App store={store} />);
+
+  userEvent.click(await screen.findByTitle('Painel do Admin'));
+  userEvent.click(await screen.findByRole('button', { name: 'Relatórios' }));
+  fireEvent.change(screen.getByLabelText('De'), { target: { value: '2026-10-01' } });
+
+  const stat = (label) => screen.getByRole('group', { name: label });
+  expect(stat('Faturamento')).toHaveTextContent('R$ 80.00');
+  expect(stat('Vendas')).toHaveTextContent('2');
+  expect(stat('Ticket Médio')).toHaveTextContent('R$ 40.00');
+  expect(stat('Clientes Novos')).toHaveTextContent('1');
+  expect(stat('Clientes Recorrentes')).toHaveTextContent('1');
+});
+
+test('moves a deleted sale to the trash and brings it back with undo', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  await store.sales.importMany([{ ...sale('Ana', 'Souza', 100), createdAt: new Date(2026, 9, 2) }, sale('Bruno', 'Lima', 30)], []);
+  await store.auth.signIn('dona@loja.com', 'segredo');
+  render(<App store={store} />);
+
+  userEvent.click(await screen.findByTitle('Painel do Admin'));
+  userEvent.click((await screen.findAllByTitle('Excluir venda'))[0]);
+  expect(await screen.findByRole('status')).toHaveTextContent(/movida para a lixeira/i);
+  await waitFor(() => expect(screen.queryByText('R$ 100.00')).not.toBeInTheDocument());
+
+  userEvent.click(screen.getByRole('button', { name: 'Desfazer' }));
+  expect(await screen.findByText('R$ 100.00')).toBeInTheDocument();
+  expect(await screen.findByRole('button', { name: /lixeira \(0\)/i })).toBeInTheDocument();
+});
+
+test('says why an undo failed when the sale changed since', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const store = createDataStore({ backend: 'memory' });
+  await store.sales.importMany([sale('Ana', 'Souza', 100)], []);
+  await store.auth.signIn('dona@loja.com', 'segredo');
+  render(<App store={store} />);
+
+  userEvent.click(await screen.findByTitle('Painel do Admin'));
+  userEvent.click(await screen.findByTitle('Excluir venda'));
+  expect(await screen.findByRole('status')).toHaveTextContent(/movida para a lixeira/i);
+  userEvent.click(screen.getByRole('button', { name: /lixeira \(1\)/i }));
+  userEvent.click(await screen.findByTitle('Restaurar venda'));
+  expect(await screen.findByText('A lixeira está vazia.')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Desfazer' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('Este item mudou depois desta alteração');
+});
+
+test('shows live notices by priority and keeps dismissed ones closed', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  await store.notices.save({ title: 'Frete grátis', htmlContent: '<b>Hoje</b><script>alert(1)</script>', isActive: true, displayMode: 'banner' });
+  await store.notices.save({ title: 'Promoção', htmlContent: 'Descontos', isActive: true, priority: 2 });
+  await store.notices.save({ title: 'Sorteio', htmlContent: 'Em breve', isActive: true, priority: 5, startAt: new Date(Date.now() + 60 * 60 * 1000) });
+  const { unmount } = render(<App store={store} />);
+
+  const banner = await screen.findByRole('region', { name: 'Frete grátis' });
+  expect(banner.innerHTML).not.toContain('script');
+  expect(screen.getByRole('dialog', { name: 'Promoção' })).toBeInTheDocument();
+  expect(screen.queryByText('Sorteio')).not.toBeInTheDocument();
+
+  userEvent.click(within(screen.getByRole('dialog')).getByRole('button', { name: 'Fechar aviso' }));
+  userEvent.click(within(banner).getByRole('button', { name: 'Fechar aviso' }));
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  unmount();
+
+  render(<App store={store} />);
+  await screen.findByText(/o ranking ainda está vazio/i);
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(screen.queryByRole('region', { name: 'Frete grátis' })).not.toBeInTheDocument();
+});
+
+test('opens a customer profile with position, tier and movement since the start of the month', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  await store.sales.importMany([
+    { ...sale('Ana', 'Souza', 100), createdAt: new Date(2000, 0, 1) },
+    { ...sale('Bruno', 'Lima', 50), createdAt: new Date(2000, 0, 2) },
+    { ...sale('Bruno', 'Lima', 80), createdAt: new Date() }
+  ], []);
+  await store.settings.save({ tiers: { bronze: 50, silver: 100, gold: 500 } }, {});
+  await store.auth.signIn('dona@loja.com', 'segredo');
+  render(<App store={store} />);
+
+  userEvent.click(await screen.findByRole('button', { name: 'Ana Souza' }));
+  expect(await screen.findByLabelText('Posição')).toHaveTextContent('#2');
+  expect(screen.getByRole('group', { name: 'Nível' })).toHaveTextContent('Prata');
+  expect(screen.getByRole('group', { name: 'Variação' })).toHaveTextContent('↓1');
+  expect(window.location.hash).toMatch(/^#\/cliente\//);
+
+  userEvent.click(screen.getByRole('button', { name: /voltar ao ranking/i }));
+  expect(await screen.findByRole('button', { name: 'Bruno Lima' })).toBeInTheDocument();
+  expect(window.location.hash).toBe('');
+});
+
+test('publishes only what the ranking settings allow and keeps sales away from visitors', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  await store.sales.importMany([
+    sale('Ana', 'Souza', 1200),
+    sale('Bruno', 'Lima', 500),
+    sale('Carla', 'Dias', 300),
+    sale('Davi', 'Reis', 200),
+    sale('Eva', 'Melo', 100)
+  ], []);
+  const customers = await new Promise(resolve => { const unsubscribe = store.customers.subscribe(docs => { unsubscribe(); resolve(docs); }); });
+  const idOf = (firstName) => customers.find(customer => customer.firstName === firstName).id;
+  await store.settings.save({
+    topSize: 3,
+    publicValuePositions: 1,
+    currency: { symbol: 'US$', decimalSeparator: ',', thousandsSeparator: '.' },
+    privacy: { [idOf('Bruno')]: 'anonymous', [idOf('Carla')]: 'hidden' }
+  }, {});
+  await store.auth.signIn('dona@loja.com', 'segredo');
+  const { unmount } = render(<App store={store} />);
+  expect(await screen.findByText('US$ 1.200,00')).toBeInTheDocument();
+  unmount();
+  await store.auth.signOut();
+
+  const subscribeSales = jest.spyOn(store.sales, 'subscribe');
+  render(<App store={store} />);
+  const items = await screen.findAllByRole('listitem');
+  expect(items.map(item => within(item).getByText(/souza|anônimo|reis/i).textContent)).toEqual(['Ana Souza', 'Cliente Anônimo', 'Davi Reis']);
+  expect(within(items[1]).queryByText(/US\$/)).not.toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: /top 3 clientes/i })).toBeInTheDocument();
+  expect(subscribeSales).not.toHaveBeenCalled();
+});
+
+test('does not overwrite a leaderboard another admin published until its own data changes', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  await store.sales.importMany([sale('Ana', 'Souza', 100)], []);
+  await store.auth.signIn('dona@loja.com', 'segredo');
+  render(<App store={store} />);
+  expect(await screen.findByRole('button', { name: 'Ana Souza' })).toBeInTheDocument();
+
+  // Another admin, on an older version of the app, publishes a different summary.
+  const publish = jest.spyOn(store.leaderboard, 'publish');
+  const entry = { id: 'old', position: 1, firstName: 'Zeca', lastName: 'Antigo', instagram: '', value: null, tier: null, movement: null };
+  await act(() => store.leaderboard.publish({ topSize: 10, boards: [{ key: 'all', season: null, previousLabel: null, entries: [entry] }], signature: 'older-build' }));
+  expect(await screen.findByRole('button', { name: 'Zeca Antigo' })).toBeInTheDocument();
+  expect(publish).toHaveBeenCalledTimes(1);
+
+  await act(() => store.sales.register(sale('Bia', 'Lima', 50), []));
+  expect(await screen.findByRole('button', { name: 'Ana Souza' })).toBeInTheDocument();
+  expect(publish).toHaveBeenCalledTimes(2);
+});
+
+test('closing a season early archives its top 10 and frees the rest of its dates', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const startDate = new Date(2026, 0, 1);
+  const endDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  await store.sales.importMany([
+    ...Array.from({ length: 11 }, (_, i) => ({ ...sale(`Cliente${i + 1}`, 'Silva', 100 - i), createdAt: new Date() })),
+    { ...sale('Antiga', 'Venda', 999), createdAt: new Date(2025, 5, 1) }
+  ], []);
+  await store.seasons.create({ name: 'Verão', startDate, endDate });
+  await store.auth.signIn('dona@loja.com', 'segredo');
+  render(<App store={store} />);
+
+  userEvent.click(await screen.findByTitle('Painel do Admin'));
+  userEvent.click(await screen.findByRole('button', { name: 'Temporadas' }));
+  userEvent.click(screen.getByRole('button', { name: /encerrar temporada/i }));
+  userEvent.click(screen.getByRole('button', { name: 'Encerrar' }));
+
+  const season = await new Promise(resolve => { const unsubscribe = store.seasons.subscribe(docs => { if (docs[0].status === 'closed') { unsubscribe(); resolve(docs[0]); } }); });
+  expect(season.topClients.map(client => client.firstName)).toEqual(Array.from({ length: 10 }, (_, i) => `Cliente${i + 1}`));
+  expect(season.endDate.getTime()).toBeLessThanOrEqual(Date.now());
+
+  userEvent.type(await screen.findByPlaceholderText(/nome/i), 'Outono');
+  fireEvent.change(screen.getByLabelText('Início'), { target: { value: '2026-02-01' } });
+  fireEvent.change(screen.getByLabelText('Fim'), { target: { value: '2099-12-31' } });
+  userEvent.click(screen.getByRole('button', { name: 'Iniciar Temporada' }));
+  expect(await screen.findByText(/se sobrepõem à temporada "Verão"/i)).toBeInTheDocument();
+
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  fireEvent.change(screen.getByLabelText('Início'), { target: { value: `${tomorrow.getFullYear()}-${pad(tomorrow.getMonth() + 1)}-${pad(tomorrow.getDate())}` } });
+  userEvent.click(screen.getByRole('button', { name: 'Iniciar Temporada' }));
+  expect(await screen.findByRole('button', { name: /encerrar temporada/i })).toBeInTheDocument();
+  const started = await new Promise(resolve => { const unsubscribe = store.seasons.subscribe(docs => { unsubscribe(); resolve(docs.find(doc => doc.name === 'Outono')); }); });
+  expect(started.status).toBe('active');
 });
@@ -0,0 +1,31 @@
+// --- Duplicate Detection ---
+// Lowercase, accent-free and single-spaced, for comparing names typed in different ways.
+export const normalizeName = (value) => (value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Pairs of customers that are probably the same person, unless an admin already dismissed them.
+export const findDuplicateCandidates = (customers) => {
+    const candidates = [];
+    customers.forEach((a, i) => customers.slice(i + 1).forEach(b => {
+        if (a.ignoredDuplicates?.includes(b.id) || b.ignoredDuplicates?.includes(a.id)) return;
+        const nameA = normalizeName(`${a.firstName} ${a.lastName}`);
+        const nameB = normalizeName(`${b.firstName} ${b.lastName}`);
+        let reason = null;
+        if (a.instagram && a.instagram.toLowerCase() === (b.instagram || '').toLowerCase()) reason = 'Mesmo Instagram';
+        else if (nameA === nameB) reason = 'Mesmo nome';
+        else if (Math.min(nameA.length, nameB.length) >= 5 && levenshtein(nameA, nameB) <= 2) reason = 'Nomes parecidos';
+        if (reason) candidates.push({ a, b, reason });
+    }));
+    return candidates;
+};
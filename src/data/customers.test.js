@@ -0,0 +1,30 @@
+import { findDuplicateCandidates, normalizeName } from './customers';
+
+const customer = (id, firstName, lastName, instagram = '', extra = {}) => ({ id, firstName, lastName, instagram, ...extra });
+
+test('normalizes accents, case and spacing', () => {
+  expect(normalizeName('  José   da SILVA ')).toBe('jose da silva');
+});
+
+test('pairs customers with the same Instagram, the same name or a similar name', () => {
+  const candidates = findDuplicateCandidates([
+    customer('a', 'Ana', 'Souza', '@ana'),
+    customer('b', 'Aninha', 'S.', '@ANA'),
+    customer('c', 'Bruno', 'Lima'),
+    customer('d', 'Bruno', 'Lima', '@bruno'),
+    customer('e', 'Mariana', 'Costa'),
+    customer('f', 'Mariane', 'Costa')
+  ]);
+  expect(candidates.map(({ a, b, reason }) => [a.id, b.id, reason])).toEqual([
+    ['a', 'b', 'Mesmo Instagram'],
+    ['c', 'd', 'Mesmo nome'],
+    ['e', 'f', 'Nomes parecidos']
+  ]);
+});
+
+test('skips short names, different people and pairs marked as not duplicates', () => {
+  expect(findDuplicateCandidates([customer('a', 'Al', 'B'), customer('b', 'Ed', 'B')])).toEqual([]);
+  expect(findDuplicateCandidates([customer('a', 'Ana', 'Souza'), customer('b', 'Carla', 'Mendes')])).toEqual([]);
+  expect(findDuplicateCandidates([customer('a', 'Ana', 'Souza', '', { ignoredDuplicates: ['b'] }), customer('b', 'Ana', 'Souza')])).toEqual([]);
+  expect(findDuplicateCandidates([customer('a', 'Ana', 'Souza'), customer('b', 'Ana', 'Souza', '', { ignoredDuplicates: ['a'] })])).toEqual([]);
+});
@@ -0,0 +1,32 @@
+import { serialize, deserialize } from './localBackend';
+
+const DISMISSED_KEY = 'ranking-dismissed-notices';
+
+// A notice stays dismissed until its content or schedule is edited, so it is keyed by id and
+// remembers the `contentUpdatedAt` it had when it was closed (`updatedAt` for older notices).
+const revision = (notice) => {
+    const revisedAt = notice.contentUpdatedAt || notice.updatedAt;
+    return revisedAt ? revisedAt.getTime() : 0;
+};
+export const isNoticeDismissed = (dismissed, notice) => dismissed[notice.id] === revision(notice);
+
+// Notices closed by this visitor, kept in storage so they stay closed across sessions.
+export const createDismissedNotices = (storage) => {
+    const listeners = new Set();
+    const read = () => {
+        try { return deserialize(storage.getItem(DISMISSED_KEY)) || {}; } catch (e) { return {}; }
+    };
+    return {
+        list: read,
+        dismiss: (notice) => {
+            const dismissed = { ...read(), [notice.id]: revision(notice) };
+            storage.setItem(DISMISSED_KEY, serialize(dismissed));
+            listeners.forEach(listener => listener(dismissed));
+        },
+        subscribe: (listener) => {
+            listeners.add(listener);
+            listener(read());
+            return () => listeners.delete(listener);
+        }
+    };
+};
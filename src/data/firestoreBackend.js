@@ -0,0 +1,108 @@
+import { initializeApp } from 'firebase/app';
+import {
+    getAuth,
+    onAuthStateChanged,
+    signInWithEmailAndPassword,
+    signOut,
+    reauthenticateWithCredential,
+    EmailAuthProvider,
+    connectAuthEmulator
+} from 'firebase/auth';
+import {
+    getFirestore,
+    collection,
+    query,
+    where,
+    orderBy,
+    limit,
+    onSnapshot,
+    getDoc,
+    getDocs,
+    writeBatch,
+    doc,
+    serverTimestamp,
+    connectFirestoreEmulator
+} from 'firebase/firestore';
+
+// Firestore batches are capped at 500 writes, so large jobs are committed in chunks.
+const BATCH_LIMIT = 450;
+let emulatorsConnected = false;
+
+// Firestore hands back Timestamps, also inside nested values; the rest of the app works with Dates.
+const toDates = (value) => {
+    if (typeof value?.toDate === 'function') return value.toDate();
+    if (Array.isArray(value)) return value.map(toDates);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, toDates(nested)]));
+    return value;
+};
+// Server timestamps still being written read as the local estimate instead of null.
+const fromFirestore = (snapshot) => ({ id: snapshot.id, ...toDates(snapshot.data({ serverTimestamps: 'estimate' })) });
+
+// Data lives under artifacts/{appId}/public/data/{collection}; admin roles under artifacts/{appId}/admins/{uid}.
+export const createFirestoreBackend = ({ config, useEmulators = false }) => {
+    const app = initializeApp(config);
+    const auth = getAuth(app);
+    const db = getFirestore(app);
+    if (useEmulators && !emulatorsConnected) {
+        connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+        connectFirestoreEmulator(db, '127.0.0.1', 8080);
+        emulatorsConnected = true;
+    }
+    const appId = config.appId || 'default-app-id';
+    const collectionRef = (name) => collection(db, `artifacts/${appId}/public/data/${name}`);
+
+    const write = async (operations) => {
+        for (let i = 0; i < operations.length; i += BATCH_LIMIT) {
+            const batch = writeBatch(db);
+            operations.slice(i, i + BATCH_LIMIT).forEach(({ type, collection: name, id, data, merge }) => {
+                const ref = doc(collectionRef(name), id);
+                if (type === 'set') batch.set(ref, data, { merge: Boolean(merge) });
+                else if (type === 'update') batch.update(ref, data);
+                else if (type === 'delete') batch.delete(ref);
+            });
+            await batch.commit();
+        }
+    };
+
+    return {
+        name: 'firestore',
+        newId: (name) => doc(collectionRef(name)).id,
+        // `options.orderBy` is [field, 'asc' | 'desc']; `options.limit` caps the number of docs.
+        subscribeCollection: (name, onData, onError, options = {}) => {
+            const constraints = [];
+            if (options.where) constraints.push(where(...options.where));
+            if (options.orderBy) constraints.push(orderBy(...options.orderBy));
+            if (options.limit) constraints.push(limit(options.limit));
+            return onSnapshot(query(collectionRef(name), ...constraints), (snapshot) => onData(snapshot.docs.map(fromFirestore)), onError);
+        },
+        subscribeDoc: (name, id, onData, onError) => onSnapshot(doc(collectionRef(name), id), (snapshot) => onData(snapshot.exists() ? fromFirestore(snapshot) : null), onError),
+        getCollection: async (name) => (await getDocs(collectionRef(name))).docs.map(fromFirestore),
+        getDoc: async (name, id) => {
+            const snapshot = await getDoc(doc(collectionRef(name), id));
+            return snapshot.exists() ? fromFirestore(snapshot) : null;
+        },
+        write,
+        // Stored as the commit time, which the rules see as `request.time`.
+        serverTime: () => serverTimestamp(),
+        auth: {
+            // Calls back with { uid, email, role } (role is null when the account has no admin doc) or null.
+            onChange: (callback) => onAuthStateChanged(auth, async (user) => {
+                if (!user) return callback(null);
+                // Sessions left over from the old anonymous sign-in carry no admin rights.
+                if (user.isAnonymous) {
+                    await signOut(auth);
+                    return;
+                }
+                try {
+                    const roleSnap = await getDoc(doc(db, `artifacts/${appId}/admins/${user.uid}`));
+                    callback({ uid: user.uid, email: user.email, role: roleSnap.exists() ? roleSnap.data().role : null });
+                } catch (e) {
+                    callback({ uid: user.uid, email: user.email, role: null }, e);
+                }
+            }),
+            signIn: (email, password) => signInWithEmailAndPassword(auth, email, password),
+            signOut: () => signOut(auth),
+            reauthenticate: (password) => reauthenticateWithCredential(auth.currentUser, EmailAuthProvider.credential(auth.currentUser.email, password))
+        }
+    };
+};
@@ -0,0 +1,430 @@
+import { createFirestoreBackend } from './firestoreBackend';
+import { createLocalBackend, createMemoryStorage } from './localBackend';
+import { createSalesQueue } from './offlineQueue';
+import { createDismissedNotices } from './dismissedNotices';
+import { createRoleCache } from './roleCache';
+
+export { isNoticeDismissed } from './dismissedNotices';
+export { normalizeName, findDuplicateCandidates } from './customers';
+
+// --- Configuration ---
+// REACT_APP_DATA_BACKEND picks where data lives:
+//   'firestore' (default) - the Firebase project from REACT_APP_FIREBASE_*
+//   'local'               - this browser's localStorage, no Firebase needed
+//   'memory'              - in memory only, lost on reload (tests)
+const firebaseConfig = {
+    apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
+    authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
+    projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
+    storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
+    appId: process.env.REACT_APP_FIREBASE_APP_ID
+};
+const defaultBackend = process.env.REACT_APP_DATA_BACKEND || 'firestore';
+
+export const isBackendConfigured = (backend = defaultBackend) => backend !== 'firestore' || Boolean(firebaseConfig.apiKey && firebaseConfig.projectId);
+
+// --- Admin Roles ---
+// Owners can do everything; operators cannot wipe data or manage WhatsApp numbers.
+export const ROLES = { OWNER: 'owner', OPERATOR: 'operator' };
+
+// --- Customer Keys ---
+// Instagram handles are always stored with a leading '@'.
+export const normalizeInstagram = (value) => {
+    const handle = (value || '').trim();
+    return handle && !handle.startsWith('@') ? `@${handle}` : handle;
+};
+
+// Sales registered before the customers collection existed are grouped by this key.
+// A customer's `aliases` hold the keys of customers merged into it, so those spellings keep matching it.
+export const legacyClientKey = (person) => `${person.firstName}|${person.lastName}|${person.instagram || ''}`.toLowerCase();
+
+// --- Audit Log ---
+// Every create, edit and delete of sales, customers, notices, WhatsApp numbers and settings is written together
+// with an entry in the `audit` collection: { action, entity, entityId, before, after, actor, at }.
+// `before` is null for creates and `after` is null for deletes, so an entry can always be reverted.
+// `at` is the server's time, so the rules can check it.
+const AUDITED_COLLECTIONS = { sale: 'clients', customer: 'customers', notice: 'notices', whatsapp: 'whatsapp', settings: 'settings' };
+const AUDITED_ENTITIES = Object.fromEntries(Object.entries(AUDITED_COLLECTIONS).map(([entity, name]) => [name, entity]));
+const withoutId = ({ id, ...data }) => data;
+
+// Compares stored values: Dates by time, objects and arrays field by field, missing fields as null.
+const isSameValue = (a, b) => {
+    if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        return Array.isArray(a) === Array.isArray(b) && [...new Set([...Object.keys(a), ...Object.keys(b)])].every(key => isSameValue(a[key], b[key]));
+    }
+    return (a ?? null) === (b ?? null);
+};
+
+// Whether `current` (the stored doc, or null) still has what `entry` left in every field the entry changed.
+const isUnchangedSince = (entry, current) => {
+    if (!entry.after || !current) return !entry.after && !current;
+    const before = entry.before || {};
+    return Object.keys({ ...before, ...entry.after })
+        .filter(field => !isSameValue(before[field], entry.after[field]))
+        .every(field => isSameValue(current[field], entry.after[field]));
+};
+
+const conflictError = (message) => Object.assign(new Error(message), { code: 'audit/conflict' });
+
+// --- Notices ---
+// Notices saved before scheduling existed (including the old single `notice/config` doc) lack
+// some of these fields. `startAt`/`endAt` are null when unbounded; higher `priority` shows first.
+export const NOTICE_DEFAULTS = { title: '', htmlContent: '', isActive: false, startAt: null, endAt: null, priority: 0, displayMode: 'modal' };
+// Editing these sets `contentUpdatedAt`, which brings a notice back for visitors who closed it.
+// Switching a notice on or off or changing its priority or mode doesn't.
+const NOTICE_CONTENT_FIELDS = ['title', 'htmlContent', 'startAt', 'endAt'];
+
+// --- Ranking Settings ---
+// Stored in `settings/ranking` and read only by admins; the public page gets what they allow
+// through the `leaderboard/public` document.
+//   tiers                 - minimum total spent for each badge; null disables it
+//   topSize               - positions on the public leaderboard
+//   publicValuePositions  - how many of the first positions show their total
+//   currency              - how those totals are formatted
+//   privacy               - customerId -> 'anonymous' (shown without name/Instagram) or 'hidden' (left out)
+export const RANKING_SETTINGS_DEFAULTS = {
+    tiers: { bronze: null, silver: null, gold: null },
+    topSize: 10,
+    publicValuePositions: 3,
+    currency: { symbol: 'R$', decimalSeparator: '.', thousandsSeparator: '' },
+    privacy: {}
+};
+
+const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+// Firestore keeps retrying a commit while the connection is down instead of failing it, so a sale
+// that takes longer than this to save is queued as well.
+const REGISTER_TIMEOUT_MS = 8000;
+
+// --- Data Store ---
+// Wraps a backend (see firestoreBackend/localBackend) in the operations the app needs.
+// Sales registered while offline go to a queue and are written by `sales.syncPending()`.
+export const createDataStore = ({ backend = defaultBackend, storage, offlineQueue = backend === 'firestore' } = {}) => {
+    const dataStorage = storage || (backend === 'memory' ? createMemoryStorage() : window.localStorage);
+    const source = backend === 'firestore'
+        ? createFirestoreBackend({ config: firebaseConfig, useEmulators: process.env.REACT_APP_USE_FIREBASE_EMULATORS === 'true' })
+        : createLocalBackend({ storage: dataStorage });
+    const queue = offlineQueue ? createSalesQueue(dataStorage) : null;
+    const dismissedNotices = createDismissedNotices(dataStorage);
+    const roleCache = createRoleCache(dataStorage);
+    const { write } = source;
+    let currentUser = null;
+
+    const auditOp = (action, entity, entityId, before, after, extra = {}) => ({
+        type: 'set',
+        collection: 'audit',
+        id: source.newId('audit'),
+        data: { action, entity, entityId, before: before || null, after: after || null, actor: currentUser ? { uid: currentUser.uid, email: currentUser.email } : null, at: source.serverTime(), ...extra }
+    });
+    // Writes the operations and their audit entries in one go and resolves to the entries, for undo.
+    // The returned entries carry this browser's time in place of the server's.
+    const writeAudited = async (operations, auditOps) => {
+        await write([...operations, ...auditOps]);
+        const at = new Date();
+        return auditOps.map(op => ({ id: op.id, ...op.data, at }));
+    };
+    // One audit entry per operation on an audited collection. `loaded` holds the docs as last loaded,
+    // which are the `before` of updates and deletes.
+    const auditOpsFor = (operations, loaded, extra) => {
+        const loadedById = Object.fromEntries(loaded.map(item => [item.id, withoutId(item)]));
+        return operations.filter(op => AUDITED_ENTITIES[op.collection]).map(({ type, collection: name, id, data }) => {
+            const before = type === 'set' ? null : loadedById[id];
+            const after = type === 'delete' ? null : type === 'set' ? data : { ...before, ...data };
+            return auditOp(type === 'set' ? 'create' : type, AUDITED_ENTITIES[name], id, before, after, extra);
+        });
+    };
+
+    // Returns the id of the customer matching `person`, adding a create operation when there is none yet.
+    // `customerIds` maps legacyClientKey -> id and is updated so later rows reuse the new customer.
+    const linkCustomer = (customerIds, person, operations) => {
+        const key = legacyClientKey(person);
+        if (!customerIds[key]) {
+            customerIds[key] = source.newId('customers');
+            operations.push({ type: 'set', collection: 'customers', id: customerIds[key], data: { firstName: person.firstName, lastName: person.lastName, instagram: person.instagram || '', createdAt: new Date() } });
+        }
+        return customerIds[key];
+    };
+    // Aliases come first so a customer's own key wins if another customer still has it as an alias.
+    const customerIdsByKey = (customers) => Object.fromEntries([
+        ...customers.flatMap(c => (c.aliases || []).map(alias => [alias, c.id])),
+        ...customers.map(c => [legacyClientKey(c), c.id])
+    ]);
+
+    const writeSale = async ({ id, ...sale }, customerIds) => {
+        const operations = [];
+        const customerId = linkCustomer(customerIds, sale, operations);
+        operations.push({ type: 'set', collection: 'clients', id, data: { ...sale, customerId } });
+        await writeAudited(operations, [auditOp('create', 'sale', id, null, { ...sale, customerId })]);
+    };
+    const softDeleteOps = (saleList) => {
+        const deletedAt = new Date();
+        return {
+            operations: saleList.map(sale => ({ type: 'update', collection: 'clients', id: sale.id, data: { deletedAt } })),
+            auditOps: saleList.map(sale => auditOp('delete', 'sale', sale.id, withoutId(sale), { ...withoutId(sale), deletedAt }))
+        };
+    };
+
+    let isSyncing = false;
+    const sales = {
+        subscribe: (onData, onError) => source.subscribeCollection('clients', docs => onData(docs.map(sale => ({ ...sale, createdAt: sale.createdAt || new Date() }))), onError),
+        // Resolves to { queued: true } when the sale was kept for a later sync instead of written.
+        register: async (sale, customers) => {
+            const entry = { id: source.newId('clients'), ...sale };
+            if (queue && !isOnline()) {
+                queue.push(entry);
+                return { queued: true };
+            }
+            const commit = writeSale(entry, customerIdsByKey(customers));
+            if (!queue) {
+                await commit;
+                return { queued: false };
+            }
+            let timer;
+            const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(true), REGISTER_TIMEOUT_MS); });
+            const isLate = await Promise.race([commit.then(() => false), timeout]).finally(() => clearTimeout(timer));
+            if (!isLate) return { queued: false };
+            queue.push(entry);
+            // The sale keeps its id, so if the commit lands after all the queued copy is simply dropped.
+            commit.then(() => queue.remove(entry.id), (e) => console.error("Error registering sale:", e));
+            return { queued: true };
+        },
+        update: (before, sale, customers) => {
+            const operations = [];
+            const customerId = linkCustomer(customerIdsByKey(customers), sale, operations);
+            operations.push({ type: 'update', collection: 'clients', id: before.id, data: { ...sale, customerId } });
+            return writeAudited(operations, [auditOp('update', 'sale', before.id, withoutId(before), { ...withoutId(before), ...sale, customerId })]);
+        },
+        // Deleting only sets `deletedAt`; the sale stays in the trash until it is purged.
+        remove: (sale) => {
+            const { operations, auditOps } = softDeleteOps([sale]);
+            return writeAudited(operations, auditOps);
+        },
+        removeAll: (saleList) => {
+            const { operations, auditOps } = softDeleteOps(saleList);
+            return writeAudited(operations, auditOps);
+        },
+        // A sale whose customer no longer exists (e.g. trashed before a merge) is linked again by name
+        // and Instagram, which finds the customer it was merged into through its aliases.
+        restore: ({ id, deletedAt, ...sale }, customers) => {
+            const operations = [];
+            const restored = customers.some(c => c.id === sale.customerId) ? sale : { ...sale, customerId: linkCustomer(customerIdsByKey(customers), sale, operations) };
+            operations.push({ type: 'set', collection: 'clients', id, data: restored });
+            return writeAudited(operations, [auditOp('restore', 'sale', id, { ...sale, deletedAt }, restored)]);
+        },
+        // Permanently deletes trashed sales. The audit entries still hold them, so they can be restored.
+        purge: (saleList) => writeAudited(
+            saleList.map(({ id }) => ({ type: 'delete', collection: 'clients', id })),
+            saleList.map(sale => auditOp('purge', 'sale', sale.id, withoutId(sale), null))
+        ),
+        importMany: async (newSales, customers) => {
+            const customerIds = customerIdsByKey(customers);
+            const operations = [];
+            const auditOps = [];
+            newSales.forEach(sale => {
+                const id = source.newId('clients');
+                const customerId = linkCustomer(customerIds, sale, operations);
+                operations.push({ type: 'set', collection: 'clients', id, data: { ...sale, customerId } });
+                auditOps.push(auditOp('create', 'sale', id, null, { ...sale, customerId }, { source: 'import' }));
+            });
+            await writeAudited(operations, auditOps);
+        },
+        subscribePending: (listener) => {
+            if (!queue) {
+                listener([]);
+                return () => {};
+            }
+            return queue.subscribe(listener);
+        },
+        // Writes queued sales in order; stops at the first failure and leaves the rest queued.
+        syncPending: async () => {
+            if (!queue || isSyncing || !isOnline() || queue.list().length === 0) return;
+            isSyncing = true;
+            try {
+                const customerIds = customerIdsByKey(await source.getCollection('customers'));
+                for (const entry of queue.list()) {
+                    await writeSale(entry, customerIds);
+                    queue.remove(entry.id);
+                }
+            } catch (e) {
+                console.error("Error syncing pending sales:", e);
+            } finally {
+                isSyncing = false;
+            }
+        }
+    };
+
+    const customers = {
+        subscribe: (onData, onError) => source.subscribeCollection('customers', onData, onError),
+        // Links every sale without a customerId to a customer, creating customers per legacy key.
+        migrate: async (existingCustomers, allSales) => {
+            const customerIds = customerIdsByKey(existingCustomers);
+            const operations = [];
+            allSales.filter(sale => !sale.customerId).forEach(sale => {
+                const customerId = linkCustomer(customerIds, sale, operations);
+                operations.push({ type: 'update', collection: 'clients', id: sale.id, data: { customerId } });
+            });
+            await writeAudited(operations, auditOpsFor(operations, allSales, { source: 'migrate' }));
+        },
+        // Moves every sale of `removed` to `kept` and deletes `removed`. `kept` takes over the keys of
+        // `removed` as aliases, so later sales typed the old way still link to it.
+        merge: async (kept, removed, allSales) => {
+            const instagram = kept.instagram || removed.instagram || '';
+            const aliases = [...new Set([...(kept.aliases || []), ...(removed.aliases || []), legacyClientKey(removed), legacyClientKey(kept)])]
+                .filter(key => key !== legacyClientKey({ ...kept, instagram }));
+            const operations = allSales.filter(sale => sale.customerId === removed.id).map(sale => ({ type: 'update', collection: 'clients', id: sale.id, data: { customerId: kept.id, firstName: kept.firstName, lastName: kept.lastName, instagram } }));
+            operations.push({ type: 'update', collection: 'customers', id: kept.id, data: { instagram, aliases } });
+            operations.push({ type: 'delete', collection: 'customers', id: removed.id });
+            return writeAudited(operations, auditOpsFor(operations, [...allSales, kept, removed], { source: 'merge' }));
+        },
+        // Moves the given sales of `from` to the customer matching `person`, creating it when there is none.
+        // If `person` is a spelling merged into `from` before, the alias is dropped so it stops matching `from`.
+        split: async (from, person, saleList, customers) => {
+            const key = legacyClientKey(person);
+            const operations = [];
+            if ((from.aliases || []).includes(key)) operations.push({ type: 'update', collection: 'customers', id: from.id, data: { aliases: from.aliases.filter(alias => alias !== key) } });
+            const others = customers.filter(c => c.id !== from.id);
+            const customerId = linkCustomer(customerIdsByKey(others), person, operations);
+            const target = others.find(c => c.id === customerId) || person;
+            const fields = { firstName: target.firstName, lastName: target.lastName, instagram: target.instagram || '' };
+            operations.push(...saleList.map(sale => ({ type: 'update', collection: 'clients', id: sale.id, data: { customerId, ...fields } })));
+            await writeAudited(operations, auditOpsFor(operations, [...saleList, from], { source: 'split' }));
+            return { customerId, ...fields };
+        },
+        markNotDuplicate: (a, b) => {
+            const operations = [{ type: 'update', collection: 'customers', id: a.id, data: { ignoredDuplicates: [...(a.ignoredDuplicates || []), b.id] } }];
+            return writeAudited(operations, auditOpsFor(operations, [a]));
+        }
+    };
+
+    const seasons = {
+        subscribe: (onData, onError) => source.subscribeCollection('seasons', onData, onError),
+        create: (season) => write([{ type: 'set', collection: 'seasons', id: source.newId('seasons'), data: { ...season, status: 'active', createdAt: new Date() } }]),
+        // A season closed before its planned end ends when it is closed, leaving the rest free for the next one.
+        close: (season, topClients) => {
+            const closedAt = new Date();
+            const endDate = season.endDate < closedAt ? season.endDate : closedAt;
+            return write([{ type: 'update', collection: 'seasons', id: season.id, data: { status: 'closed', closedAt, endDate, topClients } }]);
+        }
+    };
+
+    const settings = {
+        subscribe: (onData, onError) => source.subscribeDoc('settings', 'ranking', (doc) => onData({ ...RANKING_SETTINGS_DEFAULTS, ...doc }), onError),
+        // `before` is the settings as last loaded; only the given fields change.
+        save: (fields, before) => {
+            const { id, ...previous } = before;
+            const data = { ...previous, ...fields, updatedAt: new Date() };
+            return writeAudited([{ type: 'set', collection: 'settings', id: 'ranking', data }], [auditOp(id ? 'update' : 'create', 'settings', 'ranking', id ? previous : null, data)]);
+        }
+    };
+
+    // The summary the public page reads. Admins publish it; see the leaderboard effect in App.
+    const leaderboard = {
+        subscribe: (onData, onError) => source.subscribeDoc('leaderboard', 'public', onData, onError),
+        publish: (data) => write([{ type: 'set', collection: 'leaderboard', id: 'public', data: { ...data, updatedAt: source.serverTime() } }])
+    };
+
+    const notices = {
+        subscribe: (onData, onError) => source.subscribeCollection('notices', (docs) => onData(docs.map(doc => ({ ...NOTICE_DEFAULTS, ...doc }))), onError),
+        // Only active notices: visitors can't read the others (see firestore.rules).
+        subscribeActive: (onData, onError) => source.subscribeCollection('notices', (docs) => onData(docs.map(doc => ({ ...NOTICE_DEFAULTS, ...doc }))), onError, { where: ['isActive', '==', true] }),
+        // Creates a notice, or edits `before` when given. `htmlContent` is expected to be sanitized already.
+        save: (fields, before) => {
+            const id = before ? before.id : source.newId('notices');
+            const updatedAt = new Date();
+            const isContentChanged = !before || NOTICE_CONTENT_FIELDS.some(field => field in fields && !isSameValue(fields[field], before[field]));
+            // Notices saved before `contentUpdatedAt` existed were dismissed by their `updatedAt`.
+            const contentUpdatedAt = isContentChanged ? updatedAt : before.contentUpdatedAt || before.updatedAt || null;
+            const data = { ...NOTICE_DEFAULTS, ...(before ? withoutId(before) : {}), ...fields, updatedAt, contentUpdatedAt };
+            return writeAudited([{ type: 'set', collection: 'notices', id, data }], [auditOp(before ? 'update' : 'create', 'notice', id, before && withoutId(before), data)]);
+        },
+        remove: (notice) => writeAudited([{ type: 'delete', collection: 'notices', id: notice.id }], [auditOp('delete', 'notice', notice.id, withoutId(notice), null)]),
+        // The single notice used before `notices` existed, moved over as a modal notice with the same id.
+        subscribeLegacy: (onData, onError) => source.subscribeDoc('notice', 'config', onData, onError),
+        migrateLegacy: ({ htmlContent, isActive }) => {
+            const updatedAt = new Date();
+            const data = { ...NOTICE_DEFAULTS, htmlContent: htmlContent || '', isActive: Boolean(isActive), updatedAt, contentUpdatedAt: updatedAt };
+            return writeAudited(
+                [{ type: 'set', collection: 'notices', id: 'config', data }, { type: 'delete', collection: 'notice', id: 'config' }],
+                [auditOp('create', 'notice', 'config', null, data)]
+            );
+        },
+        // Dismissals are per browser, so they live in storage rather than in the backend.
+        subscribeDismissed: dismissedNotices.subscribe,
+        dismiss: dismissedNotices.dismiss
+    };
+
+    const whatsapp = {
+        subscribe: (onData, onError) => source.subscribeCollection('whatsapp', onData, onError),
+        add: ({ number, label }) => {
+            const id = source.newId('whatsapp');
+            const data = { number, label, isActive: true, createdAt: new Date() };
+            return writeAudited([{ type: 'set', collection: 'whatsapp', id, data }], [auditOp('create', 'whatsapp', id, null, data)]);
+        },
+        setActive: (entry, isActive) => writeAudited(
+            [{ type: 'update', collection: 'whatsapp', id: entry.id, data: { isActive } }],
+            [auditOp('update', 'whatsapp', entry.id, withoutId(entry), { ...withoutId(entry), isActive })]
+        ),
+        remove: (entry) => writeAudited([{ type: 'delete', collection: 'whatsapp', id: entry.id }], [auditOp('delete', 'whatsapp', entry.id, withoutId(entry), null)])
+    };
+
+    const audit = {
+        // Newest entries first, at most `limit` of them.
+        subscribe: (onData, onError, limit = 100) => source.subscribeCollection('audit', onData, onError, { orderBy: ['at', 'desc'], limit }),
+        // Puts each entity back to its `before` state, newest entry first. Sales created by
+        // an entry are moved to the trash rather than deleted. Fails with code 'audit/conflict',
+        // writing nothing, when an entity was changed again after its entry or a sale would be
+        // put back on a customer that no longer exists.
+        revert: async (entries) => {
+            const sorted = [...entries].sort((a, b) => b.at - a.at);
+            const currentDocs = await Promise.all(sorted.map(entry => source.getDoc(AUDITED_COLLECTIONS[entry.entity], entry.entityId)));
+            if (sorted.some((entry, i) => !isUnchangedSince(entry, currentDocs[i]))) throw conflictError('Este item mudou depois desta alteração. Restaure as alterações mais recentes primeiro.');
+            const restoredCustomerIds = sorted.filter(entry => entry.entity === 'customer' && entry.before).map(entry => entry.entityId);
+            const customerIds = [...new Set(sorted.filter(entry => entry.entity === 'sale' && entry.before?.customerId).map(entry => entry.before.customerId))].filter(id => !restoredCustomerIds.includes(id));
+            const customerDocs = await Promise.all(customerIds.map(id => source.getDoc('customers', id)));
+            if (customerDocs.some(customer => !customer)) throw conflictError('O cliente desta venda não existe mais. Restaure o cliente primeiro.');
+            const operations = [];
+            const auditOps = [];
+            sorted.forEach(entry => {
+                const collectionName = AUDITED_COLLECTIONS[entry.entity];
+                let after = entry.before;
+                // Notices saved by older versions kept an `id` field in their data; it would shadow the doc id.
+                if (entry.before) operations.push({ type: 'set', collection: collectionName, id: entry.entityId, data: withoutId(entry.before) });
+                else if (entry.entity === 'sale') {
+                    after = { ...entry.after, deletedAt: new Date() };
+                    operations.push({ type: 'set', collection: collectionName, id: entry.entityId, data: after });
+                } else operations.push({ type: 'delete', collection: collectionName, id: entry.entityId });
+                auditOps.push(auditOp('revert', entry.entity, entry.entityId, entry.after, after, { revertOf: entry.id }));
+            });
+            return writeAudited(operations, auditOps);
+        }
+    };
+
+    const auth = {
+        // Calls back with (adminUser, errorMessage). Accounts without a valid role are signed out.
+        // When the role can't be fetched the session is kept: the role last seen in this browser
+        // is used, so sales can still be registered (and queued) after reloading offline.
+        // The signed-in admin is also recorded as the actor of audit entries.
+        onChange: (callback) => source.auth.onChange(async (user, error) => {
+            currentUser = null;
+            if (!user) return callback(null, '');
+            if (error) console.error("Error fetching admin role:", error);
+            const role = error ? roleCache.get(user.uid) : user.role;
+            if (!Object.values(ROLES).includes(role)) {
+                if (error) return callback(null, 'Não foi possível verificar a permissão desta conta. Verifique a conexão e recarregue a página.');
+                roleCache.set(user.uid, null);
+                await source.auth.signOut();
+                callback(null, 'Esta conta não tem permissão de administrador.');
+                return;
+            }
+            if (!error) roleCache.set(user.uid, role);
+            currentUser = { ...user, role };
+            callback(currentUser, '');
+        }),
+        signIn: source.auth.signIn,
+        signOut: source.auth.signOut,
+        reauthenticate: source.auth.reauthenticate
+    };
+
+    return { backend: source.name, sales, customers, seasons, settings, leaderboard, notices, whatsapp, audit, auth };
+};
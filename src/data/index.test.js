@@ -0,0 +1,264 @@
+import { createDataStore, isNoticeDismissed } from '.';
+import * as localBackend from './localBackend';
+
+const collect = (subscribe) => {
+  const latest = { value: [] };
+  subscribe(value => { latest.value = value; });
+  return latest;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+test('links sales to one customer per name and Instagram', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  await store.sales.importMany([
+    { firstName: 'Ana', lastName: 'Souza', instagram: '@ana', valor: 10, createdAt: new Date() },
+    { firstName: 'Ana', lastName: 'Souza', instagram: '@ana', valor: 20, createdAt: new Date() },
+    { firstName: 'Ana', lastName: 'Souza', instagram: '', valor: 5, createdAt: new Date() }
+  ], []);
+  const customers = collect(cb => store.customers.subscribe(cb));
+  const sales = collect(cb => store.sales.subscribe(cb));
+  await Promise.resolve();
+
+  expect(customers.value).toHaveLength(2);
+  expect(new Set(sales.value.map(s => s.customerId)).size).toBe(2);
+});
+
+test('keeps dates as Dates across reloads of the local backend', async () => {
+  const storage = localBackend.createMemoryStorage();
+  const createdAt = new Date(2026, 9, 18, 14, 30);
+  await createDataStore({ backend: 'local', storage }).sales.importMany([{ firstName: 'Ana', lastName: 'Souza', instagram: '', valor: 10, createdAt }], []);
+
+  const sales = collect(cb => createDataStore({ backend: 'local', storage }).sales.subscribe(cb));
+  await Promise.resolve();
+  expect(sales.value[0].createdAt).toEqual(createdAt);
+});
+
+test('queues sales registered offline and writes them on sync', async () => {
+  const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+  const store = createDataStore({ backend: 'memory', offlineQueue: true });
+  const pending = collect(cb => store.sales.subscribePending(cb));
+  const sales = collect(cb => store.sales.subscribe(cb));
+
+  await expect(store.sales.register({ firstName: 'Bia', lastName: 'Lima', instagram: '', valor: 42, createdAt: new Date() }, [])).resolves.toEqual({ queued: true });
+  await Promise.resolve();
+  expect(pending.value).toHaveLength(1);
+  expect(sales.value).toHaveLength(0);
+
+  onLine.mockReturnValue(true);
+  await store.sales.syncPending();
+  expect(pending.value).toHaveLength(0);
+  expect(sales.value).toEqual([expect.objectContaining({ firstName: 'Bia', valor: 42, customerId: expect.any(String) })]);
+});
+
+const sale = (firstName, lastName, instagram, valor) => ({ firstName, lastName, instagram, valor, createdAt: new Date() });
+
+test('merges customers and links later sales with the merged-away spelling to the kept one', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const customers = collect(cb => store.customers.subscribe(cb));
+  const sales = collect(cb => store.sales.subscribe(cb));
+  await store.sales.importMany([sale('Ana', 'Souza', '@ana', 10), sale('Aninha', 'Souza', '', 20)], []);
+  await Promise.resolve();
+  const kept = customers.value.find(c => c.firstName === 'Ana');
+  const removed = customers.value.find(c => c.firstName === 'Aninha');
+
+  await store.customers.merge(kept, removed, sales.value);
+  await Promise.resolve();
+  expect(customers.value).toEqual([expect.objectContaining({ id: kept.id, aliases: ['aninha|souza|'] })]);
+  expect(sales.value.map(s => [s.customerId, s.firstName])).toEqual([[kept.id, 'Ana'], [kept.id, 'Ana']]);
+
+  await store.sales.register(sale('Aninha', 'Souza', '', 5), customers.value);
+  await Promise.resolve();
+  expect(customers.value).toHaveLength(1);
+  expect(sales.value.every(s => s.customerId === kept.id)).toBe(true);
+});
+
+test('splits sales to an existing customer or a new one', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const customers = collect(cb => store.customers.subscribe(cb));
+  const sales = collect(cb => store.sales.subscribe(cb));
+  await store.sales.importMany([sale('Ana', 'Souza', '@ana', 10), sale('Ana', 'Souza', '@ana', 20), sale('Bia', 'Lima', '', 30)], []);
+  await Promise.resolve();
+  const ana = customers.value.find(c => c.firstName === 'Ana');
+  const bia = customers.value.find(c => c.firstName === 'Bia');
+  const [first, second] = sales.value.filter(s => s.customerId === ana.id);
+
+  await expect(store.customers.split(ana, { firstName: 'bia', lastName: 'lima', instagram: '' }, [first], customers.value)).resolves.toEqual({ customerId: bia.id, firstName: 'Bia', lastName: 'Lima', instagram: '' });
+  await store.customers.split(ana, { firstName: 'Carla', lastName: 'Souza', instagram: '' }, [second], customers.value);
+  await Promise.resolve();
+  const carla = customers.value.find(c => c.firstName === 'Carla');
+  expect(customers.value).toHaveLength(3);
+  expect(sales.value.find(s => s.id === first.id)).toEqual(expect.objectContaining({ customerId: bia.id, firstName: 'Bia' }));
+  expect(sales.value.find(s => s.id === second.id)).toEqual(expect.objectContaining({ customerId: carla.id, firstName: 'Carla' }));
+});
+
+test('splitting a merged-away spelling back out stops it matching the kept customer', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const customers = collect(cb => store.customers.subscribe(cb));
+  const sales = collect(cb => store.sales.subscribe(cb));
+  await store.sales.importMany([sale('Ana', 'Souza', '', 10), sale('Aninha', 'Souza', '', 20)], []);
+  await Promise.resolve();
+  const [kept, removed] = customers.value;
+  await store.customers.merge(kept, removed, sales.value);
+  await Promise.resolve();
+
+  const { customerId } = await store.customers.split(customers.value[0], { firstName: removed.firstName, lastName: removed.lastName, instagram: '' }, [sales.value[1]], customers.value);
+  await Promise.resolve();
+  expect(customerId).not.toBe(kept.id);
+  expect(customers.value.find(c => c.id === kept.id).aliases).toEqual([]);
+});
+
+test('audits merges so they show up in the log', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const customers = collect(cb => store.customers.subscribe(cb));
+  const sales = collect(cb => store.sales.subscribe(cb));
+  const audit = collect(cb => store.audit.subscribe(cb));
+  await store.sales.importMany([sale('Ana', 'Souza', '@ana', 10), sale('Aninha', 'Souza', '', 20)], []);
+  await Promise.resolve();
+  const [kept, removed] = customers.value;
+
+  await store.customers.merge(kept, removed, sales.value);
+  await Promise.resolve();
+  const entries = audit.value.filter(entry => entry.source === 'merge');
+  expect(entries.map(entry => [entry.action, entry.entity, entry.entityId]).sort()).toEqual([
+    ['delete', 'customer', removed.id],
+    ['update', 'customer', kept.id],
+    ['update', 'sale', sales.value.find(s => s.valor === 20).id]
+  ].sort());
+  expect(entries.find(entry => entry.entity === 'sale').before).toEqual(expect.objectContaining({ customerId: removed.id, firstName: 'Aninha' }));
+});
+
+test('reverts an entry only while nothing changed after it', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const customers = collect(cb => store.customers.subscribe(cb));
+  const sales = collect(cb => store.sales.subscribe(cb));
+  await store.sales.importMany([sale('Ana', 'Souza', '', 10)], []);
+  await Promise.resolve();
+  const [firstEdit] = await store.sales.update(sales.value[0], sale('Ana', 'Souza', '', 20), customers.value);
+  await Promise.resolve();
+  await store.sales.update(sales.value[0], sale('Ana', 'Souza', '', 30), customers.value);
+
+  await expect(store.audit.revert([firstEdit])).rejects.toMatchObject({ code: 'audit/conflict' });
+  await Promise.resolve();
+  expect(sales.value[0].valor).toBe(30);
+});
+
+test('does not revert a sale onto a customer that was merged away', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const customers = collect(cb => store.customers.subscribe(cb));
+  const sales = collect(cb => store.sales.subscribe(cb));
+  await store.sales.importMany([sale('Ana', 'Souza', '', 10), sale('Aninha', 'Souza', '', 20)], []);
+  await Promise.resolve();
+  const [kept, removed] = customers.value;
+  const [edit] = await store.sales.update(sales.value[1], sale('Aninha', 'Souza', '', 25), customers.value);
+  await Promise.resolve();
+  const entries = await store.customers.merge(kept, removed, sales.value);
+  await Promise.resolve();
+
+  const moveEntry = entries.find(entry => entry.entity === 'sale');
+  await expect(store.audit.revert([moveEntry])).rejects.toThrow('O cliente desta venda não existe mais');
+  await store.audit.revert(entries);
+  await Promise.resolve();
+  expect(customers.value).toHaveLength(2);
+  expect(sales.value[1]).toEqual(expect.objectContaining({ customerId: removed.id, valor: 25 }));
+  await expect(store.audit.revert([edit])).resolves.toHaveLength(1);
+});
+
+test('moves trashed sales on merge and relinks a restored sale whose customer is gone', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const customers = collect(cb => store.customers.subscribe(cb));
+  const sales = collect(cb => store.sales.subscribe(cb));
+  await store.sales.importMany([sale('Ana', 'Souza', '', 10), sale('Aninha', 'Souza', '', 20), sale('Aninha', 'Souza', '', 5)], []);
+  await Promise.resolve();
+  const [kept, removed] = customers.value;
+  await store.sales.remove(sales.value[1]);
+  await Promise.resolve();
+
+  await store.customers.merge(kept, removed, sales.value);
+  await Promise.resolve();
+  expect(sales.value[1]).toEqual(expect.objectContaining({ customerId: kept.id, deletedAt: expect.any(Date) }));
+  await store.sales.restore(sales.value[1], customers.value);
+  await Promise.resolve();
+  expect(sales.value[1]).toEqual(expect.objectContaining({ customerId: kept.id }));
+  expect(sales.value[1].deletedAt).toBeUndefined();
+
+  // A sale left pointing at the removed customer, as merges did before they included the trash.
+  await store.sales.restore({ ...sales.value[2], customerId: removed.id, deletedAt: new Date() }, customers.value);
+  await Promise.resolve();
+  expect(customers.value).toHaveLength(1);
+  expect(sales.value[2].customerId).toBe(kept.id);
+});
+
+test('audits marking two customers as different people and can revert it', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const customers = collect(cb => store.customers.subscribe(cb));
+  await store.sales.importMany([sale('Ana', 'Souza', '', 10), sale('Ana', 'Sousa', '', 20)], []);
+  await Promise.resolve();
+  const [a, b] = customers.value;
+
+  const entries = await store.customers.markNotDuplicate(a, b);
+  await Promise.resolve();
+  expect(entries).toEqual([expect.objectContaining({ action: 'update', entity: 'customer', entityId: a.id })]);
+  expect(customers.value[0].ignoredDuplicates).toEqual([b.id]);
+
+  await store.audit.revert(entries);
+  await Promise.resolve();
+  expect(customers.value[0].ignoredDuplicates).toBeUndefined();
+});
+
+test('lists only active notices for visitors', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const active = collect(cb => store.notices.subscribeActive(cb));
+  await store.notices.save({ title: 'Promo', htmlContent: '<p>Hoje</p>', isActive: true }, null);
+  await store.notices.save({ title: 'Rascunho', htmlContent: '<p>Depois</p>', isActive: false }, null);
+  await Promise.resolve();
+
+  expect(active.value.map(notice => notice.title)).toEqual(['Promo']);
+});
+
+test('keeps a closed notice closed when it is only switched off and on', async () => {
+  const store = createDataStore({ backend: 'memory' });
+  const notices = collect(cb => store.notices.subscribe(cb));
+  const dismissed = collect(cb => store.notices.subscribeDismissed(cb));
+  await store.notices.save({ title: 'Promo', htmlContent: '<p>Hoje</p>', isActive: true }, null);
+  await Promise.resolve();
+  store.notices.dismiss(notices.value[0]);
+
+  await store.notices.save({ isActive: false }, notices.value[0]);
+  await Promise.resolve();
+  await store.notices.save({ isActive: true, priority: 2 }, notices.value[0]);
+  await Promise.resolve();
+  expect(isNoticeDismissed(dismissed.value, notices.value[0])).toBe(true);
+
+  // Let the clock move on, so the edit gets a different time than the creation.
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await store.notices.save({ ...notices.value[0], htmlContent: '<p>Amanhã</p>' }, notices.value[0]);
+  await Promise.resolve();
+  expect(isNoticeDismissed(dismissed.value, notices.value[0])).toBe(false);
+});
+
+test('keeps an admin signed in with the last known role when the role lookup fails', async () => {
+  const storage = localBackend.createMemoryStorage();
+  const onAuthChange = (store) => new Promise(resolve => store.auth.onChange((user, message) => resolve({ user, message })));
+  const online = createDataStore({ backend: 'local', storage });
+  await online.auth.signIn('dona@loja.com', 'segredo');
+  expect((await onAuthChange(online)).user).toEqual(expect.objectContaining({ role: 'owner' }));
+
+  // Reloading offline: the session is there but the admin doc can't be read.
+  const createBackend = localBackend.createLocalBackend;
+  jest.spyOn(localBackend, 'createLocalBackend').mockImplementation((options) => {
+    const backend = createBackend(options);
+    const onChange = (callback) => backend.auth.onChange(user => callback(user && { ...user, role: null }, user && new Error('offline')));
+    return { ...backend, auth: { ...backend.auth, onChange, signOut: jest.fn(backend.auth.signOut) } };
+  });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const offline = createDataStore({ backend: 'local', storage });
+  expect(await onAuthChange(offline)).toEqual({ user: expect.objectContaining({ email: 'dona@loja.com', role: 'owner' }), message: '' });
+
+  await offline.auth.signOut();
+  await offline.auth.signIn('outra@loja.com', 'segredo');
+  const unknown = await onAuthChange(offline);
+  expect(unknown.user).toBeNull();
+  expect(unknown.message).toMatch(/verificar a permissão/);
+  expect(localBackend.createLocalBackend.mock.results[0].value.auth.signOut).toHaveBeenCalledTimes(1);
+});
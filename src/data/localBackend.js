@@ -0,0 +1,103 @@
+// A backend that keeps every collection in a single JSON entry of a Storage
+// (localStorage by default), so the app runs without a Firebase project.
+const DATA_KEY = 'ranking-data';
+const SESSION_KEY = 'ranking-session';
+
+// Dates are tagged so they come back as Dates after the JSON round trip.
+export const serialize = (value) => JSON.stringify(value, function (key, current) {
+    return this[key] instanceof Date ? { $date: this[key].toISOString() } : current;
+});
+export const deserialize = (text) => JSON.parse(text, (key, value) => (
+    value && typeof value === 'object' && Object.keys(value).length === 1 && typeof value.$date === 'string' ? new Date(value.$date) : value
+));
+
+// Same interface as localStorage, kept in memory only. Used by the 'memory' backend and tests.
+export const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+const authError = (code) => Object.assign(new Error(code), { code });
+
+// Without Firebase Auth there is nothing to check credentials against: any
+// non-empty e-mail and password signs in with `role`. Only use it for demos and tests.
+export const createLocalBackend = ({ storage = window.localStorage, role = 'owner' } = {}) => {
+    const read = (key, fallback) => {
+        try { return deserialize(storage.getItem(key)) || fallback; } catch (e) { return fallback; }
+    };
+    let data = read(DATA_KEY, {});
+    let session = read(SESSION_KEY, null);
+    let idCounter = 0;
+    const dataListeners = new Set();
+    const authListeners = new Set();
+
+    const list = (name) => Object.entries(data[name] || {}).map(([id, value]) => ({ id, ...value }));
+    // `where` only supports '==', the one filter the store uses.
+    const queryList = (name, { where, orderBy, limit } = {}) => {
+        let docs = list(name);
+        if (where) docs = docs.filter(doc => doc[where[0]] === where[2]);
+        if (orderBy) {
+            const [field, direction = 'asc'] = orderBy;
+            docs = docs.sort((a, b) => (a[field] > b[field] ? 1 : a[field] < b[field] ? -1 : 0) * (direction === 'desc' ? -1 : 1));
+        }
+        return limit ? docs.slice(0, limit) : docs;
+    };
+
+    // Listeners are called asynchronously, like Firestore snapshots.
+    const listen = (listeners, listener) => {
+        let active = true;
+        const wrapped = () => active && listener();
+        listeners.add(wrapped);
+        Promise.resolve().then(wrapped);
+        return () => { active = false; listeners.delete(wrapped); };
+    };
+
+    // Applied to a copy first so a failing operation leaves the data untouched, like a batch.
+    const write = async (operations) => {
+        const next = { ...data };
+        operations.forEach(({ type, collection: name, id, data: values, merge }) => {
+            const docs = next[name] = { ...(next[name] || {}) };
+            if (type === 'set') docs[id] = merge ? { ...docs[id], ...values } : { ...values };
+            else if (type === 'update') {
+                if (!docs[id]) throw Object.assign(new Error(`No document ${name}/${id}`), { code: 'not-found' });
+                docs[id] = { ...docs[id], ...values };
+            } else if (type === 'delete') delete docs[id];
+        });
+        data = next;
+        storage.setItem(DATA_KEY, serialize(data));
+        dataListeners.forEach(listener => listener());
+    };
+
+    const setSession = (value) => {
+        session = value;
+        if (value) storage.setItem(SESSION_KEY, serialize(value));
+        else storage.removeItem(SESSION_KEY);
+        authListeners.forEach(listener => listener());
+    };
+
+    return {
+        name: 'local',
+        newId: () => `${Date.now().toString(36)}${(idCounter++).toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        subscribeCollection: (name, onData, onError, options) => listen(dataListeners, () => onData(queryList(name, options))),
+        subscribeDoc: (name, id, onData) => listen(dataListeners, () => onData(data[name]?.[id] ? { id, ...data[name][id] } : null)),
+        getCollection: async (name) => list(name),
+        getDoc: async (name, id) => (data[name]?.[id] ? { id, ...data[name][id] } : null),
+        write,
+        serverTime: () => new Date(),
+        auth: {
+            onChange: (callback) => listen(authListeners, () => callback(session)),
+            signIn: async (email, password) => {
+                if (!email || !password) throw authError('auth/invalid-credential');
+                setSession({ uid: `local:${email}`, email, role });
+            },
+            signOut: async () => setSession(null),
+            reauthenticate: async (password) => {
+                if (!password) throw authError('auth/invalid-credential');
+            }
+        }
+    };
+};
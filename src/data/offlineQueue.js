@@ -0,0 +1,27 @@
+import { serialize, deserialize } from './localBackend';
+
+const QUEUE_KEY = 'ranking-pending-sales';
+
+// Sales registered while offline, kept in storage so they survive a reload
+// until they are synced.
+export const createSalesQueue = (storage) => {
+    const listeners = new Set();
+    const read = () => {
+        try { return deserialize(storage.getItem(QUEUE_KEY)) || []; } catch (e) { return []; }
+    };
+    const save = (entries) => {
+        if (entries.length) storage.setItem(QUEUE_KEY, serialize(entries));
+        else storage.removeItem(QUEUE_KEY);
+        listeners.forEach(listener => listener(entries));
+    };
+    return {
+        list: read,
+        push: (entry) => save([...read(), entry]),
+        remove: (id) => save(read().filter(entry => entry.id !== id)),
+        subscribe: (listener) => {
+            listeners.add(listener);
+            listener(read());
+            return () => listeners.delete(listener);
+        }
+    };
+};
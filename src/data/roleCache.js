@@ -0,0 +1,19 @@
+import { serialize, deserialize } from './localBackend';
+
+const ROLES_KEY = 'ranking-admin-roles';
+
+// The last role each account had in this browser, used when the role can't be fetched (usually
+// because the page was reloaded offline). It only decides what the app shows: the rules still
+// check the real role on every read and write.
+export const createRoleCache = (storage) => {
+    const read = () => {
+        try { return deserialize(storage.getItem(ROLES_KEY)) || {}; } catch (e) { return {}; }
+    };
+    return {
+        get: (uid) => read()[uid] || null,
+        set: (uid, role) => {
+            const { [uid]: previous, ...others } = read();
+            storage.setItem(ROLES_KEY, serialize(role ? { ...others, [uid]: role } : others));
+        }
+    };
+};
@@ -0,0 +1,119 @@
+import { legacyClientKey, normalizeInstagram, normalizeName } from './data';
+
+// Sales are imported from and exported to CSV files, usually opened in a spreadsheet or
+// exported from a point of sale system.
+
+// Splits CSV text into rows of cells. Handles a BOM, quoted cells and ';' or ',' delimiters.
+export const parseCsv = (rawText) => {
+    const text = rawText.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [], cell = '', inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"') inQuotes = true;
+        else if (char === delimiter) { row.push(cell); cell = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); rows.push(row); row = []; cell = '';
+        } else cell += char;
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim()));
+};
+
+// Cells starting with = + - @ would run as formulas in spreadsheet apps, so they get a leading "'".
+// Instagram handles are exported that way; buildImportPreview strips it again.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+export const toCsv = (rows) => rows.map(row => row.map(value => {
+    const raw = value === undefined || value === null ? '' : String(value);
+    const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')).join('\r\n');
+
+// Accepts "1234.56", "1.234,56", "1,234.56", "R$ 50,00" and similar. With both separators the last one is
+// the decimal one. A lone separator followed by exactly three digits ("1.500", "R$ 2,000") groups thousands,
+// since sale values never have three decimals.
+export const parseValor = (value) => {
+    const text = (value || '').replace(/R\$|\s/g, '');
+    const last = Math.max(text.lastIndexOf(','), text.lastIndexOf('.'));
+    const separator = text[last];
+    const isGrouping = last < 0 || text.indexOf(separator) !== last || (/^-?[1-9]\d{0,2}$/.test(text.slice(0, last)) && /^\d{3}$/.test(text.slice(last + 1)));
+    const [integer, decimals] = isGrouping ? [text, '0'] : [text.slice(0, last), text.slice(last + 1)];
+    if (!/^-?(\d+|\d{1,3}([.,])\d{3}(\2\d{3})*)$/.test(integer) || !/^\d+$/.test(decimals)) return NaN;
+    return parseFloat(`${integer.replace(/[.,]/g, '')}.${decimals}`);
+};
+
+// Accepts ISO dates (2026-10-18, 2026-10-18T14:30, 2026-10-18T17:30:00.000Z as exported) and
+// Brazilian dates (18/10/2026, 18/10/2026 14:30). Dates without a time are set to noon.
+export const parseSaleDate = (value) => {
+    const text = (value || '').trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?(Z)?)?$/);
+    const br = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    const [year, month, day, hours = '12', minutes = '0', seconds = '0', millis = '0', utc] = iso ? iso.slice(1) : br ? [br[3], br[2], br[1], ...br.slice(4)] : [];
+    if (!year) return null;
+    const parts = [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds), Number(millis.padEnd(3, '0'))];
+    if (parts[3] > 23 || parts[4] > 59 || parts[5] > 59) return null;
+    const date = utc ? new Date(Date.UTC(...parts)) : new Date(...parts);
+    const dateParts = utc ? [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()] : [date.getFullYear(), date.getMonth(), date.getDate()];
+    return dateParts.every((part, i) => part === parts[i]) ? date : null;
+};
+
+const IMPORT_COLUMNS = {
+    firstName: ['nome', 'primeiro nome', 'firstname', 'first name'],
+    lastName: ['sobrenome', 'ultimo nome', 'lastname', 'last name'],
+    fullName: ['nome completo', 'cliente', 'name', 'customer'],
+    instagram: ['instagram', 'ig', 'insta'],
+    valor: ['valor', 'valor pago', 'total', 'value', 'amount'],
+    date: ['data', 'data da venda', 'date', 'createdat']
+};
+
+// Turns parsed CSV rows into sale previews with per-row validation errors.
+export const buildImportPreview = (rows, existingSales) => {
+    const [header = [], ...body] = rows;
+    const headers = header.map(normalizeName);
+    const columnIndex = Object.fromEntries(Object.entries(IMPORT_COLUMNS).map(([field, aliases]) => [field, headers.findIndex(h => aliases.includes(h))]));
+    const missing = [];
+    if (columnIndex.firstName < 0 && columnIndex.fullName < 0) missing.push('nome');
+    if (columnIndex.valor < 0) missing.push('valor');
+    if (columnIndex.date < 0) missing.push('data');
+    if (missing.length) return { error: `Colunas obrigatórias ausentes: ${missing.join(', ')}.`, rows: [] };
+    const existingKeys = new Set(existingSales.map(sale => `${legacyClientKey(sale)}|${sale.valor}|${sale.createdAt.getTime()}`));
+    const cell = (row, field) => (columnIndex[field] >= 0 ? row[columnIndex[field]] || '' : '').trim().replace(/^'(?=[=+\-@])/, '');
+    return { error: '', rows: body.map((row, i) => {
+        let firstName = cell(row, 'firstName');
+        let lastName = cell(row, 'lastName');
+        // A single name column (or a POS "cliente" column) holds the full name.
+        if (!lastName) {
+            const parts = (firstName || cell(row, 'fullName')).split(/\s+/);
+            firstName = parts[0];
+            lastName = parts.slice(1).join(' ');
+        }
+        const sale = { firstName, lastName, instagram: normalizeInstagram(cell(row, 'instagram')), valor: parseValor(cell(row, 'valor')), createdAt: parseSaleDate(cell(row, 'date')) };
+        const errors = [];
+        if (!sale.firstName || !sale.lastName) errors.push('Nome e sobrenome obrigatórios');
+        if (sale.instagram && !/^@[A-Za-z0-9._]{1,30}$/.test(sale.instagram)) errors.push('Instagram inválido');
+        if (!Number.isFinite(sale.valor) || sale.valor <= 0) errors.push('Valor inválido');
+        if (!sale.createdAt) errors.push('Data inválida');
+        else if (sale.createdAt > new Date()) errors.push('Data no futuro');
+        const key = !errors.length && `${legacyClientKey(sale)}|${sale.valor}|${sale.createdAt.getTime()}`;
+        if (key && existingKeys.has(key)) errors.push('Venda já registrada');
+        // Accepted rows count as registered, so repeated rows in the same file are only imported once.
+        else if (key) existingKeys.add(key);
+        return { line: i + 2, sale, errors };
+    }) };
+};
+
+// Export rows for the sales inside the optional [from, to] date range (YYYY-MM-DD strings).
+export const EXPORT_FIELDS = ['id', 'createdAt', 'firstName', 'lastName', 'instagram', 'valor', 'customerId'];
+export const filterSalesByDate = (sales, from, to) => {
+    const start = from ? new Date(`${from}T00:00:00`) : null;
+    const end = to ? new Date(`${to}T23:59:59.999`) : null;
+    return sales.filter(sale => (!start || sale.createdAt >= start) && (!end || sale.createdAt <= end)).sort((a, b) => a.createdAt - b.createdAt);
+};
+export const toExportRecord = (sale) => ({ id: sale.id, createdAt: sale.createdAt.toISOString(), firstName: sale.firstName, lastName: sale.lastName, instagram: sale.instagram || '', valor: sale.valor, customerId: sale.customerId || '' });
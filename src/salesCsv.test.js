@@ -0,0 +1,84 @@
+import { parseCsv, toCsv, parseValor, parseSaleDate, buildImportPreview } from './salesCsv';
+
+test('parses quoted cells, a BOM and either delimiter', () => {
+  expect(parseCsv('\uFEFFnome,valor\r\n"Souza, Ana","1,5"\r\n\r\n"Diz ""oi""",2\n')).toEqual([['nome', 'valor'], ['Souza, Ana', '1,5'], ['Diz "oi"', '2']]);
+  expect(parseCsv('nome;valor\nAna;1,50')).toEqual([['nome', 'valor'], ['Ana', '1,50']]);
+});
+
+test('quotes special characters and escapes formulas when writing CSV', () => {
+  expect(toCsv([['a;b', 'diz "oi"', 5, null], ['=SUM(A1)', '@ana', '-1', '+55']])).toBe('"a;b","diz ""oi""",5,\r\n\'=SUM(A1),\'@ana,\'-1,\'+55');
+});
+
+test('reads decimal and thousands separators', () => {
+  expect(parseValor('1234.56')).toBe(1234.56);
+  expect(parseValor('1234,56')).toBe(1234.56);
+  expect(parseValor('1.234,56')).toBe(1234.56);
+  expect(parseValor('1,234.56')).toBe(1234.56);
+  expect(parseValor('R$ 50,00')).toBe(50);
+  expect(parseValor('1.234')).toBe(1234);
+  expect(parseValor('1,234')).toBe(1234);
+  expect(parseValor('R$ 1.500')).toBe(1500);
+  expect(parseValor('1.234.567,89')).toBe(1234567.89);
+  expect(parseValor('0.500')).toBe(0.5);
+  expect(parseValor('12.5')).toBe(12.5);
+  expect(parseValor('42')).toBe(42);
+});
+
+test('rejects values that are not numbers', () => {
+  ['', 'abc', '1.2.3', '12.34.56', '1.23,4.5', '10,', 'R$'].forEach(value => expect(parseValor(value)).toBeNaN());
+});
+
+test('reads ISO and Brazilian dates', () => {
+  expect(parseSaleDate('2026-10-18')).toEqual(new Date(2026, 9, 18, 12));
+  expect(parseSaleDate('2026-10-18T14:30')).toEqual(new Date(2026, 9, 18, 14, 30));
+  expect(parseSaleDate('2026-10-18 14:30:15')).toEqual(new Date(2026, 9, 18, 14, 30, 15));
+  expect(parseSaleDate('2026-10-18T17:30:00.250Z')).toEqual(new Date(Date.UTC(2026, 9, 18, 17, 30, 0, 250)));
+  expect(parseSaleDate('18/10/2026')).toEqual(new Date(2026, 9, 18, 12));
+  expect(parseSaleDate('8/1/2026, 9:05')).toEqual(new Date(2026, 0, 8, 9, 5));
+});
+
+test('rejects invalid dates and trailing text', () => {
+  ['', '2026-02-30', '31/04/2026', '2026-10-18abc', '2026-10-18T14:30 lixo', '18/10/2026 25:00', '2026-10-18T14:75', '10/18/2026'].forEach(value => expect(parseSaleDate(value)).toBeNull());
+});
+
+const csv = (...lines) => parseCsv(lines.join('\n'));
+
+test('import requires the name, value and date columns', () => {
+  expect(buildImportPreview(csv('instagram,valor', '@ana,10'), [])).toEqual({ error: 'Colunas obrigatórias ausentes: nome, data.', rows: [] });
+});
+
+test('import builds sales from separate or full name columns', () => {
+  const { error, rows } = buildImportPreview(csv('Cliente;Instagram;Valor Pago;Data', 'Ana Maria Souza;ana;R$ 1.500;18/10/2025', 'Bia Lima;\'@bia;10,50;2025-10-18T14:30'), []);
+  expect(error).toBe('');
+  expect(rows).toEqual([
+    { line: 2, sale: { firstName: 'Ana', lastName: 'Maria Souza', instagram: '@ana', valor: 1500, createdAt: new Date(2025, 9, 18, 12) }, errors: [] },
+    { line: 3, sale: { firstName: 'Bia', lastName: 'Lima', instagram: '@bia', valor: 10.5, createdAt: new Date(2025, 9, 18, 14, 30) }, errors: [] }
+  ]);
+});
+
+test('import flags invalid rows', () => {
+  const { rows } = buildImportPreview(csv('nome,sobrenome,instagram,valor,data', 'Ana,,,10,2025-10-18', 'Bia,Lima,@bia lima,0,2025-10-18', 'Caio,Reis,,abc,2025-13-01', 'Dani,Melo,,10,2999-01-01'), []);
+  expect(rows.map(row => row.errors)).toEqual([
+    ['Nome e sobrenome obrigatórios'],
+    ['Instagram inválido', 'Valor inválido'],
+    ['Valor inválido', 'Data inválida'],
+    ['Data no futuro']
+  ]);
+});
+
+test('import flags sales that were already registered', () => {
+  const existing = [{ firstName: 'Ana', lastName: 'Souza', instagram: '@ana', valor: 10, createdAt: new Date(2025, 9, 18, 12) }];
+  const { rows } = buildImportPreview(csv('nome,sobrenome,instagram,valor,data', 'ana,souza,@ANA,10,18/10/2025', 'Ana,Souza,@ana,10,19/10/2025'), existing);
+  expect(rows.map(row => row.errors)).toEqual([['Venda já registrada'], []]);
+});
+
+test('import flags rows repeated in the same file', () => {
+  const { rows } = buildImportPreview(csv('nome,sobrenome,instagram,valor,data', 'Ana,Souza,,10,18/10/2025', 'Bia,Lima,,20,18/10/2025', 'Ana,Souza,,10,18/10/2025', 'ana,souza,,10,2025-10-18'), []);
+  expect(rows.map(row => row.errors)).toEqual([[], [], ['Venda já registrada'], ['Venda já registrada']]);
+});
+
+test('import reads back an exported file', () => {
+  const sale = { id: 's1', createdAt: new Date(Date.UTC(2025, 9, 18, 17, 30)), firstName: 'Ana', lastName: 'Souza', instagram: '@ana', valor: 1234.5, customerId: 'c1' };
+  const { rows } = buildImportPreview(parseCsv(toCsv([Object.keys(sale), Object.values(sale).map(value => (value instanceof Date ? value.toISOString() : value))])), []);
+  expect(rows[0].sale).toEqual({ firstName: 'Ana', lastName: 'Souza', instagram: '@ana', valor: 1234.5, createdAt: sale.createdAt });
+});
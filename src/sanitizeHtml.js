@@ -0,0 +1,58 @@
+// Notices are written as HTML by admins and shown to every visitor, so they are
+// reduced to an allowlist of formatting tags before rendering.
+
+// Allowed tags and the attributes each one may keep.
+const ALLOWED_TAGS = {
+    P: [], BR: [], HR: [], DIV: [], SPAN: [],
+    B: [], STRONG: [], I: [], EM: [], U: [], S: [], SMALL: [],
+    H1: [], H2: [], H3: [], H4: [],
+    UL: [], OL: [], LI: [], BLOCKQUOTE: [],
+    A: ['href', 'title'],
+    IMG: ['src', 'alt', 'width', 'height']
+};
+// Removed together with their content; any other unknown tag is replaced by its content.
+const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH', 'FORM', 'INPUT', 'BUTTON', 'TEXTAREA', 'SELECT', 'LINK', 'META', 'BASE', 'TITLE']);
+const URL_ATTRIBUTES = ['href', 'src'];
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+const isSafeUrl = (value) => {
+    try {
+        return SAFE_PROTOCOLS.includes(new URL(value, window.location.origin).protocol);
+    } catch (e) {
+        return false;
+    }
+};
+
+const cleanChildren = (parent) => {
+    [...parent.childNodes].forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+        const tag = node.tagName.toUpperCase();
+        if (DROPPED_TAGS.has(tag)) {
+            node.remove();
+            return;
+        }
+        cleanChildren(node);
+        const allowedAttributes = ALLOWED_TAGS[tag];
+        if (!allowedAttributes) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+        [...node.attributes].forEach(({ name, value }) => {
+            if (!allowedAttributes.includes(name) || (URL_ATTRIBUTES.includes(name) && !isSafeUrl(value))) node.removeAttribute(name);
+        });
+        if (tag === 'A') {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+};
+
+export const sanitizeHtml = (html) => {
+    const doc = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+    cleanChildren(doc.body);
+    return doc.body.innerHTML;
+};
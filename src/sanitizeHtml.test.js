@@ -0,0 +1,18 @@
+import { sanitizeHtml } from './sanitizeHtml';
+
+test('keeps formatting tags and safe links', () => {
+  expect(sanitizeHtml('<p><b>Promo</b> <em>hoje</em></p><ul><li>1</li></ul>')).toBe('<p><b>Promo</b> <em>hoje</em></p><ul><li>1</li></ul>');
+  expect(sanitizeHtml('<a href="https://loja.com" title="Loja">site</a>')).toBe('<a href="https://loja.com" title="Loja" target="_blank" rel="noopener noreferrer">site</a>');
+});
+
+test('removes scripts, event handlers and unsafe urls', () => {
+  expect(sanitizeHtml('oi<script>alert(1)</script><style>body{}</style>')).toBe('oi');
+  expect(sanitizeHtml('<img src="x.png" onerror="alert(1)" style="width:1px">')).toBe('<img src="x.png">');
+  expect(sanitizeHtml('<a href=" javascript:alert(1)">clique</a>')).toBe('<a target="_blank" rel="noopener noreferrer">clique</a>');
+  expect(sanitizeHtml('<img src="data:text/html;base64,AAAA">')).toBe('<img>');
+});
+
+test('unwraps unknown tags but keeps their text', () => {
+  expect(sanitizeHtml('<section><font color="red">Aviso</font></section><!-- nota -->')).toBe('Aviso');
+  expect(sanitizeHtml('<table><tr><td>a</td></tr></table>')).toBe('a');
+});
@@ -0,0 +1,101 @@
+// Share images are drawn on a canvas in the browser, sized for an Instagram story.
+const WIDTH = 1080;
+const HEIGHT = 1920;
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+const COLORS = { text: '#ffffff', muted: '#9ca3af', panel: 'rgba(55, 65, 81, 0.6)', accent: '#facc15', value: '#4ade80', instagram: '#ec4899' };
+const RANK_COLORS = ['#facc15', '#d1d5db', '#ca8a04'];
+
+const fillRoundedRect = (ctx, x, y, width, height, radius) => {
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + width, y, x + width, y + height, radius);
+    ctx.arcTo(x + width, y + height, x, y + height, radius);
+    ctx.arcTo(x, y + height, x, y, radius);
+    ctx.arcTo(x, y, x + width, y, radius);
+    ctx.closePath();
+    ctx.fill();
+};
+
+// Shortens `text` with an ellipsis until it fits in `maxWidth` with the current font.
+const fitText = (ctx, text, maxWidth) => {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+    let fitted = text;
+    while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) fitted = fitted.slice(0, -1);
+    return `${fitted.trimEnd()}…`;
+};
+
+const drawText = (ctx, text, x, y, { size, weight = 'normal', color = COLORS.text, align = 'left', maxWidth = WIDTH - 160 }) => {
+    ctx.font = `${weight} ${size}px ${FONT}`;
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    ctx.fillText(fitText(ctx, text, maxWidth), x, y);
+};
+
+const startCanvas = (subtitle) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = HEIGHT;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas is not supported');
+    const background = ctx.createLinearGradient(0, 0, 0, HEIGHT);
+    background.addColorStop(0, '#1f2937');
+    background.addColorStop(1, '#030712');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    ctx.textBaseline = 'middle';
+    drawText(ctx, '🐧👑 Ranking de Clientes', WIDTH / 2, 200, { size: 80, weight: 'bold', color: COLORS.accent, align: 'center' });
+    drawText(ctx, subtitle, WIDTH / 2, 285, { size: 40, color: COLORS.muted, align: 'center' });
+    drawText(ctx, window.location.host, WIDTH / 2, HEIGHT - 90, { size: 36, color: COLORS.muted, align: 'center' });
+    return { canvas, ctx };
+};
+
+const toPngBlob = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not render the image'))), 'image/png');
+});
+
+// Small pill with the tier name, centered on `x`.
+const drawTierBadge = (ctx, tier, x, y, size) => {
+    ctx.font = `bold ${size}px ${FONT}`;
+    const width = ctx.measureText(tier.label).width + size * 1.4;
+    ctx.fillStyle = tier.color;
+    fillRoundedRect(ctx, x - width / 2, y - size * 0.9, width, size * 1.8, size * 0.9);
+    drawText(ctx, tier.label, x, y, { size, weight: 'bold', color: '#111827', align: 'center' });
+};
+
+// Rows that fit on a story; longer rankings are cut here.
+export const MAX_RANKING_ROWS = 10;
+
+// `rows`: [{ position, name, value, movement, tier }]. `value` (already formatted) is left out when
+// it is private; `movement` is { text, color } and `tier` is { label, color }, both optional.
+export const renderRankingImage = ({ subtitle, rows }) => {
+    const { canvas, ctx } = startCanvas(subtitle);
+    const rowHeight = 124;
+    const gap = 16;
+    rows.slice(0, MAX_RANKING_ROWS).forEach((row, index) => {
+        const top = 380 + index * (rowHeight + gap);
+        const middle = top + rowHeight / 2;
+        ctx.fillStyle = COLORS.panel;
+        fillRoundedRect(ctx, 80, top, WIDTH - 160, rowHeight, 24);
+        drawText(ctx, String(row.position), 160, middle, { size: 56, weight: 'bold', color: RANK_COLORS[row.position - 1] || COLORS.muted, align: 'center' });
+        const hasDetails = row.tier || row.movement;
+        drawText(ctx, row.name, 240, hasDetails ? middle - 20 : middle, { size: 46, weight: 'bold', maxWidth: row.value ? 460 : 640 });
+        if (row.tier) drawText(ctx, row.tier.label, 240, middle + 32, { size: 30, weight: 'bold', color: row.tier.color });
+        if (row.movement) drawText(ctx, row.movement.text, row.tier ? 400 : 240, middle + 32, { size: 30, weight: 'bold', color: row.movement.color });
+        if (row.value) drawText(ctx, row.value, WIDTH - 120, middle, { size: 42, weight: 'bold', color: COLORS.value, align: 'right' });
+    });
+    return toPngBlob(canvas);
+};
+
+// A single customer: position, name, Instagram, tier, movement and (when public) the value.
+export const renderClientCardImage = ({ subtitle, position, name, instagram, value, movement, tier }) => {
+    const { canvas, ctx } = startCanvas(subtitle);
+    ctx.fillStyle = COLORS.panel;
+    fillRoundedRect(ctx, 80, 420, WIDTH - 160, 1240, 48);
+    drawText(ctx, position ? `#${position}` : '—', WIDTH / 2, 700, { size: 280, weight: 'bold', color: RANK_COLORS[position - 1] || COLORS.accent, align: 'center' });
+    drawText(ctx, name, WIDTH / 2, 960, { size: 84, weight: 'bold', align: 'center', maxWidth: WIDTH - 240 });
+    if (instagram) drawText(ctx, instagram, WIDTH / 2, 1060, { size: 48, color: COLORS.instagram, align: 'center' });
+    if (tier) drawTierBadge(ctx, tier, WIDTH / 2, 1220, 52);
+    if (movement) drawText(ctx, movement.text, WIDTH / 2, 1380, { size: 72, weight: 'bold', color: movement.color, align: 'center' });
+    if (value) drawText(ctx, value, WIDTH / 2, 1520, { size: 72, weight: 'bold', color: COLORS.value, align: 'center' });
+    return toPngBlob(canvas);
+};